@@ -194,7 +194,7 @@ class DXCCTableWidget {
                 </div>
                 <div class="dxcc-stat-item">
                     <div class="dxcc-stat-label">Honor Roll Threshold</div>
-                    <div class="dxcc-stat-value">${this.data.metadata.honorRollThreshold}</div>
+                    <div class="dxcc-stat-value">${this.data.metadata.honorRollThreshold ?? '-'}</div>
                 </div>
             </div>
         </div>`;
@@ -233,14 +233,18 @@ class DXCCTableWidget {
     }
 
     /**
-     * Format Zone - 将备注代码替换为具体数值（适用于 ITU Zone 和 CQ Zone）
+     * Format Zone - 优先使用转换器输出的数字区域数组（适用于 ITU Zone 和 CQ Zone）
      */
-    formatZone(zone) {
-        if (!zone) return '';
+    formatZone(zones, zoneToken) {
+        if (Array.isArray(zones) && zones.length > 0) {
+            return zones.join(', ');
+        }
+        
+        if (!zoneToken) return '';
         
-        let formattedZone = zone.toString();
+        let formattedZone = zoneToken.toString();
         
-        // 检查数据结构并获取zoneNotes
+        // 旧版 JSON 没有 zonesITU / zonesCQ 字段，回退到 zoneNotes 替换字母代码
         const zoneNotes = this.data?.metadata?.zoneNotes;
         
         if (zoneNotes) {
@@ -254,6 +258,16 @@ class DXCCTableWidget {
         return formattedZone;
     }
 
+    /**
+     * Get first zone number for sorting
+     */
+    getSortZone(zones, zoneToken) {
+        if (Array.isArray(zones) && zones.length > 0) {
+            return zones[0];
+        }
+        return parseInt(zoneToken || '0') || 0;
+    }
+
     /**
      * Render table
      */
@@ -279,17 +293,17 @@ class DXCCTableWidget {
             const statusClass = entity.isCurrent ? 'current' : 'deleted';
             const statusText = entity.isCurrent ? 'Current' : 'Deleted';
             const notesText = this.formatNotes(entity.notes);
-            const zoneItuText = this.formatZone(entity.zoneITU);
-            const zoneCqText = this.formatZone(entity.zoneCQ);
+            const zoneItuText = this.formatZone(entity.zonesITU, entity.zoneITU);
+            const zoneCqText = this.formatZone(entity.zonesCQ, entity.zoneCQ);
             
             html += `
                 <tr class="${statusClass}" data-continent="${entity.continent}" data-current="${entity.isCurrent}">
                     <td>${entity.prefix}</td>
                     <td>${entity.entityName || entity.entity}</td>
                     <td>${entity.continent}</td>
-                    <td>${zoneItuText}</td>
-                    <td>${zoneCqText}</td>
-                    <td>${entity.entityCode}</td>
+                    <td title="${entity.zoneITU}">${zoneItuText}</td>
+                    <td title="${entity.zoneCQ}">${zoneCqText}</td>
+                    <td>${entity.entityCode !== null ? entity.entityCode : '-'}</td>
                     <td>${statusText}</td>
                     <td class="notes-cell">${notesText}</td>
                 </tr>`;
@@ -375,12 +389,12 @@ class DXCCTableWidget {
                     valueB = b.continent || '';
                     break;
                 case 'zoneITU':
-                    valueA = parseInt(a.zoneITU || '0');
-                    valueB = parseInt(b.zoneITU || '0');
+                    valueA = this.getSortZone(a.zonesITU, a.zoneITU);
+                    valueB = this.getSortZone(b.zonesITU, b.zoneITU);
                     break;
                 case 'zoneCQ':
-                    valueA = parseInt(a.zoneCQ || '0');
-                    valueB = parseInt(b.zoneCQ || '0');
+                    valueA = this.getSortZone(a.zonesCQ, a.zoneCQ);
+                    valueB = this.getSortZone(b.zonesCQ, b.zoneCQ);
                     break;
                 case 'entityCode':
                     valueA = parseInt(a.entityCode || '0');
@@ -0,0 +1,171 @@
+/**
+ * DXCC ADIF Support
+ *
+ * Features:
+ * - Build the ADIF "DXCC Entity Code" enumeration from a parsed edition, deleted entities included
+ * - Write the enumeration as CSV or TSV in the column layout of the ADIF specification exports
+ * - Read ADIF (.adi) logs into header fields and QSO records, and write them back
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { indexByEntityCode } from './dxcc-diff.js';
+import { formatField } from './dxcc-csv.js';
+
+/**
+ * Enumeration name used by the ADIF specification for the DXCC field
+ */
+const ENUMERATION_NAME = 'DXCC_Entity_Code';
+
+/**
+ * Columns of the enumeration table
+ */
+const ENUMERATION_COLUMNS = ['Enumeration Name', 'Entity Code', 'Entity Name', 'Deleted', 'Prefix'];
+
+/**
+ * Build the DXCC entity code enumeration
+ * Rows are sorted by entity code and start with code 0, which ADIF uses for contacts outside any
+ * DXCC entity. Entities without a code (unmatched legacy entries) are left out; an entity listed as
+ * both current and deleted keeps its current entry.
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData (filterType "all" for the full enumeration)
+ * @returns {Object[]} Rows ({entityCode, entity, deleted, prefix})
+ */
+function createADIFEnumeration(dxccData) {
+    if (!dxccData || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing entities array');
+    }
+
+    const { byCode } = indexByEntityCode(dxccData.entities);
+    const rows = [{ entityCode: 0, entity: 'None', deleted: false, prefix: '' }];
+
+    [...byCode.keys()].sort((a, b) => a - b).forEach(code => {
+        const entity = byCode.get(code);
+        rows.push({
+            entityCode: code,
+            entity: entity.entity,
+            deleted: !entity.isCurrent,
+            prefix: entity.prefix
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Render the DXCC entity code enumeration as CSV or TSV
+ * The Deleted column holds "Deleted" or is empty, as in the ADIF specification.
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @param {string} format - 'csv' [default] or 'tsv'
+ * @returns {string} Enumeration table ending with a newline
+ */
+function formatADIFEnumeration(dxccData, format = 'csv') {
+    if (!['csv', 'tsv'].includes(format)) {
+        throw new Error(`Invalid format: '${format}' (expected csv or tsv)`);
+    }
+
+    const delimiter = format === 'csv' ? ',' : '\t';
+    const lines = [ENUMERATION_COLUMNS.map(column => formatField(column, format)).join(delimiter)];
+
+    createADIFEnumeration(dxccData).forEach(row => {
+        const values = [ENUMERATION_NAME, row.entityCode, row.entity, row.deleted ? 'Deleted' : '', row.prefix];
+        lines.push(values.map(value => formatField(value, format)).join(delimiter));
+    });
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+/**
+ * Parse an ADIF (.adi) log
+ * Fields look like "<CALL:5>K1ABC" or "<QSO_DATE:8:D>20240101"; field names are returned in upper case.
+ * Text before the first field is the header comment, and fields before <EOH> are header fields.
+ * The length counts characters, so non-ASCII values in UTF-8 logs are read as written.
+ *
+ * @param {string|Buffer} content - Log content
+ * @returns {{headerText: string, header: Object, records: Object[]}} Header comment, header fields and one object per QSO
+ */
+function parseADIF(content) {
+    const text = Buffer.isBuffer(content) ? content.toString('utf-8') : String(content);
+    const tagPattern = /<([A-Za-z0-9_]+)(?::(\d+)(?::[A-Za-z])?)?>/g;
+    const header = {};
+    const records = [];
+    // A log without a header starts with its first field
+    const hasHeader = !/^\s*</.test(text);
+    let current = hasHeader ? header : {};
+    let inHeader = hasHeader;
+    const firstField = text.search(tagPattern);
+    const headerText = hasHeader ? text.slice(0, firstField === -1 ? text.length : firstField).trim() : '';
+    let match;
+
+    while ((match = tagPattern.exec(text)) !== null) {
+        const name = match[1].toUpperCase();
+
+        if (name === 'EOH') {
+            inHeader = false;
+            current = {};
+            continue;
+        }
+        if (name === 'EOR') {
+            if (!inHeader && Object.keys(current).length > 0) {
+                records.push(current);
+            }
+            current = {};
+            continue;
+        }
+        if (match[2] === undefined) continue;
+
+        const length = parseInt(match[2]);
+        const start = tagPattern.lastIndex;
+        current[name] = text.slice(start, start + length);
+        tagPattern.lastIndex = start + length;
+    }
+
+    return { headerText, header, records };
+}
+
+/**
+ * Format one ADIF field
+ *
+ * @param {string} name - Field name
+ * @param {*} value - Field value
+ * @returns {string} Field such as "<CALL:5>K1ABC"
+ */
+function formatADIFField(name, value) {
+    const text = String(value);
+    return `<${name}:${text.length}>${text}`;
+}
+
+/**
+ * Write an ADIF (.adi) log
+ * The header comment of the log is kept and a generator line is added below it; header fields and
+ * records keep their field order.
+ *
+ * @param {{headerText: string, header: Object, records: Object[]}} log - Header comment, header fields and
+ *     records, as returned by parseADIF
+ * @param {string} generator - Line added to the header comment [default: 'Corrected by dxcc-txt2json.js']
+ * @returns {string} ADIF text
+ */
+function formatADIF(log, generator = 'Corrected by dxcc-txt2json.js') {
+    const header = log.header || {};
+    const lines = [log.headerText, generator].filter(Boolean);
+
+    Object.keys(header).forEach(name => lines.push(formatADIFField(name, header[name])));
+    lines.push('<EOH>');
+    lines.push('');
+
+    (log.records || []).forEach(record => {
+        const fields = Object.keys(record)
+            .filter(name => record[name] !== null && record[name] !== undefined)
+            .map(name => formatADIFField(name, record[name]));
+        lines.push(`${fields.join(' ')} <EOR>`);
+    });
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+export { createADIFEnumeration, formatADIFEnumeration, parseADIF, formatADIF };
@@ -0,0 +1,129 @@
+/**
+ * DXCC Prefix Cross References
+ *
+ * Features:
+ * - Parse "Prefix Cross References.md" lines such as "AH = KH", "CF-CK = VE" and "CR3 (before 1974) = J5"
+ * - Keep date qualifiers as validFrom/validUntil and other qualifiers ("KC4 (Navassa)") as location
+ * - Rewrite a callsign through an alias, e.g. AH6XX is looked up as KH6XX
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { expandPrefix } from './dxcc-prefix.js';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Parse the qualifier of a cross reference
+ * "before 1974" ends on 1973-12-31, "after 1991" starts on 1992-01-01 and "1983" covers that year;
+ * anything else names the location the alias is limited to.
+ *
+ * @param {string|null} qualifier - Text inside the parentheses
+ * @returns {{validFrom: string|null, validUntil: string|null, location: string|null}} Parsed qualifier
+ */
+function parseQualifier(qualifier) {
+    const result = { validFrom: null, validUntil: null, location: null };
+    if (!qualifier) return result;
+
+    const dateMatch = qualifier.match(/^(before|after)?\s*(?:([A-Za-z]+)\s+)?(\d{4})$/i);
+    const monthIndex = dateMatch && dateMatch[2] ? MONTHS.indexOf(dateMatch[2].toLowerCase()) : -1;
+    if (!dateMatch || (dateMatch[2] && monthIndex === -1)) {
+        result.location = qualifier;
+        return result;
+    }
+
+    const year = parseInt(dateMatch[3]);
+    const direction = (dateMatch[1] || '').toLowerCase();
+    // With a month ("after June 2006") the boundary is that month instead of the year
+    const first = monthIndex === -1 ? new Date(Date.UTC(year, 0, 1)) : new Date(Date.UTC(year, monthIndex, 1));
+    const next = monthIndex === -1 ? new Date(Date.UTC(year + 1, 0, 1)) : new Date(Date.UTC(year, monthIndex + 1, 1));
+    const dayBefore = date => new Date(date.getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    if (direction === 'before') {
+        result.validUntil = dayBefore(first);
+    } else if (direction === 'after') {
+        result.validFrom = next.toISOString().slice(0, 10);
+    } else {
+        result.validFrom = first.toISOString().slice(0, 10);
+        result.validUntil = dayBefore(next);
+    }
+    return result;
+}
+
+/**
+ * Parse prefix cross references
+ * Lines look like "EK, EM-EO, ER-ES, EU-EZ = U", "GC(before 1977) = GJ or GU" or "CX0 = CE9/VP8";
+ * headings, continent and zone note lines are skipped.
+ *
+ * @param {string} content - Content of "Prefix Cross References.md"
+ * @returns {Object[]} Aliases ({prefix, prefixes, target, targets, qualifier, validFrom, validUntil, location})
+ */
+function parseCrossReferences(content) {
+    const aliases = [];
+
+    content.split('\n').forEach(rawLine => {
+        const line = rawLine.trim();
+        // The closing parenthesis is missing in "ZD3 (before 1966 = C5"
+        const match = line.match(/^([A-Z0-9][A-Z0-9,\s-]*?)\s*(?:\(([^)=]*)\)?)?\s*=\s*([A-Z0-9][A-Z0-9\/-]*(?:\s+or\s+[A-Z0-9][A-Z0-9\/-]*)*)$/);
+        if (!match) return;
+
+        const [, prefix, rawQualifier, target] = match;
+        const qualifier = rawQualifier ? rawQualifier.trim().replace(/^(before|after)(\d)/i, '$1 $2') : null;
+        const targets = target.split(/\s+or\s+/).flatMap(part => expandPrefix(part.trim()));
+
+        aliases.push({
+            prefix: prefix,
+            prefixes: expandPrefix(prefix),
+            target: target.trim(),
+            targets: [...new Set(targets)],
+            qualifier: qualifier,
+            ...parseQualifier(qualifier)
+        });
+    });
+
+    return aliases;
+}
+
+/**
+ * Check whether an alias applies without a QSO date
+ * Aliases limited to a period that has ended, or to a location, need more than the callsign.
+ *
+ * @param {Object} alias - Alias object
+ * @returns {boolean} True if the alias applies today
+ */
+function isUnconditionalAlias(alias) {
+    return alias.validUntil === null && alias.location === null;
+}
+
+/**
+ * Rewrite a callsign through an alias
+ * Range aliases map item by item ("RB-RR = UB-UR" turns RB into UB); the call area digit is kept
+ * when the target has none, so KA2ABC becomes JA2ABC.
+ *
+ * @param {Object} alias - Alias object
+ * @param {string} lookup - Location part of the callsign
+ * @returns {Object[]} Rewrites ({prefix, target, replacement, lookup}); empty when the alias does not match
+ */
+function rewriteWithAlias(alias, lookup) {
+    const rewrites = [];
+    // "VX-VY = CY0/VE" lists alternatives, "RB-RR = UB-UR" a range of its own
+    const pairwise = /^[A-Z0-9]+-[A-Z0-9]+$/.test(alias.target) && alias.targets.length === alias.prefixes.length;
+
+    alias.prefixes.forEach((prefix, index) => {
+        if (!lookup.startsWith(prefix)) return;
+
+        const targets = pairwise ? [alias.targets[index]] : alias.targets;
+        targets.forEach(target => {
+            const areaMatch = /\d/.test(target) ? null : prefix.match(/\d+$/);
+            const replacement = target + (areaMatch ? areaMatch[0] : '');
+            rewrites.push({ prefix, target, replacement, lookup: replacement + lookup.slice(prefix.length) });
+        });
+    });
+
+    return rewrites;
+}
+
+export { parseCrossReferences, parseQualifier, isUnconditionalAlias, rewriteWithAlias };
@@ -0,0 +1,242 @@
+/**
+ * DXCC Award Progress
+ *
+ * Features:
+ * - Resolve each QSO of an ADIF log to a DXCC entity, by its DXCC field or by callsign and date
+ * - Count worked and confirmed entities (current and deleted) and Honor Roll progress
+ * - Count Worked All Continents (WAC) and Worked All Zones (WAZ, CQ zones 1-40)
+ * - List the entities, continents and zones still needed
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { createCreditChecker } from './dxcc-credit.js';
+
+/**
+ * Continents needed for WAC; Antarctica does not count
+ */
+const WAC_CONTINENTS = ['AF', 'AS', 'EU', 'NA', 'OC', 'SA'];
+
+/**
+ * Number of CQ zones needed for WAZ
+ */
+const WAZ_ZONES = 40;
+
+/**
+ * ADIF QSL status values that mark a confirmation
+ */
+const CONFIRMED_VALUES = ['Y', 'V'];
+
+/**
+ * Check whether a QSO record is confirmed by QSL card or LoTW
+ *
+ * @param {Object} record - ADIF record
+ * @returns {boolean} True if QSL_RCVD or LOTW_QSL_RCVD is Y (or V, verified)
+ */
+function isConfirmed(record) {
+    return ['QSL_RCVD', 'LOTW_QSL_RCVD'].some(field =>
+        CONFIRMED_VALUES.includes(String(record[field] || '').trim().toUpperCase()));
+}
+
+/**
+ * Resolve one QSO record to the entity it counts for
+ * A DXCC field (other than 0) is used when the edition knows the code; otherwise the callsign is
+ * resolved. Both follow the valid windows and successors from the notes. A logged code outside its
+ * valid window without a successor gives way to the callsign, and is reported in mismatch.
+ *
+ * @param {Object} record - ADIF record
+ * @param {Object} checker - Checker from createCreditChecker
+ * @returns {{entity: Object|null, via: string|null, reason: string|null, credit: Object|null, mismatch: string|null}}
+ *     Resolved entity or the reason it failed, and why the logged DXCC code was not used
+ */
+function resolveRecord(record, checker) {
+    const call = String(record.CALL || '').trim();
+    const date = String(record.QSO_DATE || '').trim();
+    const loggedCode = record.DXCC !== undefined && /^\d+$/.test(String(record.DXCC).trim())
+        ? parseInt(record.DXCC)
+        : null;
+
+    if (!date) {
+        return { entity: null, via: null, reason: 'no QSO_DATE', credit: null, mismatch: null };
+    }
+    if (loggedCode === 0) {
+        return { entity: null, via: 'DXCC', reason: 'DXCC 0 (not in any entity)', credit: null, mismatch: null };
+    }
+
+    let credit;
+    let via;
+    let mismatch = null;
+    try {
+        credit = loggedCode !== null ? checker.checkCode(loggedCode, call, date, record.TIME_ON) : null;
+        via = 'DXCC';
+        if (!credit || (credit.entities.length === 0 && credit.outsideWindow.length === 0)) {
+            if (!call) {
+                return { entity: null, via: null, reason: 'no CALL or known DXCC code', credit: null, mismatch: null };
+            }
+            credit = checker.check(call, date, record.TIME_ON);
+            via = 'CALL';
+        } else if (credit.entities.length === 0 && call) {
+            // The logged entity is not valid on the QSO date and has no successor: the callsign decides
+            const callCredit = checker.check(call, date, record.TIME_ON);
+            if (callCredit.entities.length > 0) {
+                mismatch = `DXCC ${loggedCode} is outside its valid window on ${date}`;
+                credit = callCredit;
+                via = 'CALL';
+            }
+        }
+    } catch (error) {
+        return { entity: null, via: null, reason: error.message, credit: null, mismatch: null };
+    }
+
+    if (credit.entities.length === 0) {
+        const reason = credit.outsideWindow.length > 0 ? 'outside the valid window' : 'no matching prefix';
+        return { entity: null, via, reason, credit, mismatch };
+    }
+    if (credit.ambiguous) {
+        return { entity: null, via, reason: `prefix ${credit.matchedPrefix} is shared by several entities`, credit, mismatch };
+    }
+    return { entity: credit.entities[0], via, reason: null, credit, mismatch };
+}
+
+/**
+ * Pick the value of a QSO that the entity allows
+ * The logged value is used when the entity lists it; an entity with a single value gives that value.
+ *
+ * @param {string|number|undefined} logged - Logged value (CONT or CQZ)
+ * @param {Array} allowed - Values listed for the entity
+ * @returns {string|number|null} Value to count, or null when it cannot be told
+ */
+function pickListed(logged, allowed) {
+    if (logged !== undefined && logged !== null && allowed.includes(logged)) return logged;
+    return allowed.length === 1 ? allowed[0] : null;
+}
+
+/**
+ * Add a QSO to a worked/confirmed tally
+ *
+ * @param {Map} tally - Tally keyed by entity code, continent or zone
+ * @param {*} key - Tally key
+ * @param {boolean} confirmed - Whether the QSO is confirmed
+ */
+function addToTally(tally, key, confirmed) {
+    const entry = tally.get(key) || { qsos: 0, confirmed: false };
+    entry.qsos++;
+    entry.confirmed = entry.confirmed || confirmed;
+    tally.set(key, entry);
+}
+
+/**
+ * Compute DXCC, Honor Roll, WAC and WAZ progress from a log
+ * Mixed mode and band only: every QSO counts once towards each award. A QSO counts as confirmed
+ * when QSL_RCVD or LOTW_QSL_RCVD is Y or V. Continent and CQ zone come from CONT and CQZ when the
+ * entity lists them, or from the entity when it has only one; otherwise the QSO does not count for WAC or WAZ.
+ *
+ * @param {Object[]} records - ADIF records from parseADIF
+ * @param {Object} dxccData - Parsed DXCC data with deleted entities and validity fields
+ * @returns {Object} Award report; warnings lists the checker warnings ({code, message})
+ */
+function createAwardReport(records, dxccData) {
+    if (!Array.isArray(records)) {
+        throw new Error('Invalid log: expected an array of ADIF records');
+    }
+
+    const checker = createCreditChecker(dxccData);
+    const metadata = dxccData.metadata || {};
+    const continentNames = metadata.continents || {};
+    const entities = new Map();
+    const continents = new Map();
+    const zones = new Map();
+    const unresolved = [];
+    const mismatched = [];
+    let unplaced = 0;
+
+    records.forEach((record, index) => {
+        const { entity, via, reason, mismatch } = resolveRecord(record, checker);
+        if (mismatch) {
+            mismatched.push({ index, call: record.CALL || '', date: record.QSO_DATE || '', logged: parseInt(record.DXCC),
+                entityCode: entity ? entity.entityCode : null, reason: mismatch });
+        }
+        if (!entity) {
+            unresolved.push({ index, call: record.CALL || '', date: record.QSO_DATE || '', via, reason });
+            return;
+        }
+
+        const confirmed = isConfirmed(record);
+        addToTally(entities, entity.entityCode, confirmed);
+
+        const continent = pickListed(String(record.CONT || '').trim().toUpperCase() || undefined, entity.continent.split(','));
+        const zone = pickListed(record.CQZ !== undefined ? parseInt(record.CQZ) : undefined, entity.zonesCQ || []);
+        if (continent) addToTally(continents, continent, confirmed);
+        if (zone) addToTally(zones, zone, confirmed);
+        if (!continent || !zone) unplaced++;
+    });
+
+    const byCode = new Map();
+    dxccData.entities.forEach(entity => {
+        if (entity.entityCode !== null && (!byCode.has(entity.entityCode) || entity.isCurrent)) {
+            byCode.set(entity.entityCode, entity);
+        }
+    });
+    const current = [...byCode.values()].filter(entity => entity.isCurrent);
+    const codes = [...entities.keys()];
+    const count = (filter, confirmedOnly) => codes.filter(code => filter(byCode.get(code)) &&
+        (!confirmedOnly || entities.get(code).confirmed)).length;
+    const confirmedCurrent = count(entity => entity.isCurrent, true);
+    const threshold = metadata.honorRollThreshold !== undefined ? metadata.honorRollThreshold : null;
+    const describe = entity => ({ entityCode: entity.entityCode, entity: entity.entity, prefix: entity.prefix });
+
+    const zoneList = [];
+    for (let zone = 1; zone <= WAZ_ZONES; zone++) zoneList.push(zone);
+
+    return {
+        edition: metadata.edition || null,
+        warnings: checker.warnings,
+        qsos: {
+            total: records.length,
+            resolved: records.length - unresolved.length,
+            unresolved: unresolved,
+            mismatched: mismatched,
+            withoutContinentOrZone: unplaced
+        },
+        dxcc: {
+            totalCurrent: current.length,
+            worked: { current: count(entity => entity.isCurrent, false), deleted: count(entity => !entity.isCurrent, false) },
+            confirmed: { current: confirmedCurrent, deleted: count(entity => !entity.isCurrent, true) }
+        },
+        honorRoll: {
+            threshold: threshold,
+            confirmedCurrent: confirmedCurrent,
+            needed: threshold !== null ? Math.max(0, threshold - confirmedCurrent) : null,
+            qualified: threshold !== null ? confirmedCurrent >= threshold : null,
+            numberOne: confirmedCurrent === current.length
+        },
+        wac: {
+            continents: Object.keys(continentNames).map(code => ({
+                code,
+                name: continentNames[code],
+                worked: continents.has(code),
+                confirmed: continents.has(code) && continents.get(code).confirmed
+            })),
+            worked: WAC_CONTINENTS.filter(code => continents.has(code)).length,
+            confirmed: WAC_CONTINENTS.filter(code => continents.has(code) && continents.get(code).confirmed).length,
+            qualified: WAC_CONTINENTS.every(code => continents.has(code) && continents.get(code).confirmed)
+        },
+        waz: {
+            worked: zoneList.filter(zone => zones.has(zone)).length,
+            confirmed: zoneList.filter(zone => zones.has(zone) && zones.get(zone).confirmed).length,
+            qualified: zoneList.every(zone => zones.has(zone) && zones.get(zone).confirmed)
+        },
+        needed: {
+            entities: current.filter(entity => !entities.has(entity.entityCode)).map(describe),
+            unconfirmedEntities: current
+                .filter(entity => entities.has(entity.entityCode) && !entities.get(entity.entityCode).confirmed)
+                .map(describe),
+            continents: WAC_CONTINENTS.filter(code => !continents.has(code) || !continents.get(code).confirmed),
+            zones: zoneList.filter(zone => !zones.has(zone) || !zones.get(zone).confirmed)
+        }
+    };
+}
+
+export { createAwardReport, isConfirmed };
@@ -0,0 +1,343 @@
+/**
+ * DXCC QSO Credit Check
+ *
+ * Features:
+ * - Resolve a callsign and QSO date to the entity the contact counts for
+ * - Skip entities whose valid window (validPeriods) does not cover the date
+ * - Follow successors from the notes, e.g. a 1973 1M contact counts as Tonga (A3)
+ * - Report the deciding notes of entities the contact falls outside of
+ * - Follow prefix cross references valid on the QSO date, e.g. VR5 before 1971 is Tonga (A3)
+ * - Apply the same date rules to a logged entity code (ADIF DXCC field)
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { expandPrefix } from './dxcc-prefix.js';
+import { createResolver, parseCallsign } from './dxcc-resolver.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a date or date-time string to a UTC timestamp
+ * Note dates such as "1994-02-29" are clamped to the last day of the month.
+ *
+ * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM:SSZ"
+ * @param {boolean} endOfDay - Return the last millisecond of the day for plain dates
+ * @returns {number} UTC timestamp in milliseconds
+ */
+function toTimestamp(value, endOfDay) {
+    if (value.includes('T')) {
+        return Date.parse(value);
+    }
+
+    const [year, month, day] = value.split('-').map(part => parseInt(part));
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const start = Date.UTC(year, month - 1, Math.min(day, lastDay));
+    return endOfDay ? start + DAY_MS - 1 : start;
+}
+
+/**
+ * Normalize a QSO date
+ * Accepts Date objects, "YYYY-MM-DD", ADIF "YYYYMMDD" and ISO date-times; an ADIF "HHMM" time may be given separately.
+ *
+ * @param {Date|string} date - QSO date
+ * @param {string} time - Optional "HHMM" or "HHMMSS" UTC time
+ * @returns {{iso: string, timestamp: number}} Normalized date
+ */
+function normalizeQSODate(date, time) {
+    if (date instanceof Date) {
+        return { iso: date.toISOString(), timestamp: date.getTime() };
+    }
+
+    const text = String(date || '').trim();
+    const dateMatch = text.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2}):?(\d{2})(?::?(\d{2}))?Z?)?$/);
+    if (!dateMatch) {
+        throw new Error(`Invalid QSO date: '${date}' (expected YYYY-MM-DD or YYYYMMDD)`);
+    }
+
+    const [, year, month, day] = dateMatch;
+    const timeMatch = time ? String(time).match(/^(\d{2}):?(\d{2})(?::?(\d{2}))?$/) : null;
+    if (time && !timeMatch) {
+        throw new Error(`Invalid QSO time: '${time}' (expected HHMM)`);
+    }
+    const [hour, minute, second] = timeMatch
+        ? timeMatch.slice(1)
+        : [dateMatch[4] || '00', dateMatch[5] || '00', dateMatch[6]];
+
+    const iso = `${year}-${month}-${day}T${hour}:${minute}:${second || '00'}Z`;
+    const timestamp = Date.parse(iso);
+    // Date.parse rolls "1973-02-30" over to March 2, so compare the result back
+    if (isNaN(timestamp) || new Date(timestamp).toISOString().slice(0, 10) !== iso.slice(0, 10)) {
+        throw new Error(`Invalid QSO date: '${date}'`);
+    }
+    return { iso, timestamp };
+}
+
+/**
+ * Check whether a period covers a timestamp
+ *
+ * @param {Object} period - Valid period ({from, until})
+ * @param {number} timestamp - QSO timestamp
+ * @returns {boolean} True if the QSO is inside the period
+ */
+function periodCovers(period, timestamp) {
+    return (period.from === null || toTimestamp(period.from, false) <= timestamp) &&
+        (period.until === null || timestamp <= toTimestamp(period.until, true));
+}
+
+/**
+ * Pick the periods of an entity that apply to a callsign
+ * Germany lists separate periods for DA-DL and Y2-Y9 calls, so a DM2 call matches none of them and is
+ * outside Germany's window. Without a callsign, or with one outside the entity's prefixes (a code
+ * checked against another entity's call), every period applies.
+ *
+ * @param {Object} entity - Entity with validPeriods
+ * @param {string} lookup - Location part of the callsign, or empty
+ * @returns {Object[]|null} Applicable periods; empty when the entity is not restricted, null when all its
+ *     periods are for other prefixes
+ */
+function applicablePeriods(entity, lookup) {
+    const periods = entity.validPeriods || [];
+    const ownPrefixes = Array.isArray(entity.prefixes) ? entity.prefixes : expandPrefix(entity.prefix);
+    if (!lookup || !ownPrefixes.some(prefix => lookup.startsWith(prefix))) return periods;
+    const prefixPeriods = periods.filter(period => period.prefix &&
+        expandPrefix(period.prefix).some(prefix => lookup.startsWith(prefix)));
+    if (prefixPeriods.length > 0) return prefixPeriods;
+    const unprefixed = periods.filter(period => !period.prefix);
+    return unprefixed.length > 0 || periods.length === 0 ? unprefixed : null;
+}
+
+/**
+ * Get the end of an entity's last valid period
+ *
+ * @param {Object} entity - Entity with validPeriods
+ * @returns {number} Timestamp; Infinity for an open period, -Infinity without periods
+ */
+function lastValidDate(entity) {
+    return Math.max(...(entity.validPeriods || [])
+        .map(period => period.until === null ? Infinity : toTimestamp(period.until, true)));
+}
+
+/**
+ * Check whether an entity counts for a QSO date
+ *
+ * @param {Object[]|null} periods - Applicable periods from applicablePeriods
+ * @param {number} timestamp - QSO timestamp
+ * @returns {boolean} True if the entity is not restricted or a period covers the QSO
+ */
+function periodsCover(periods, timestamp) {
+    return periods !== null && (periods.length === 0 || periods.some(period => periodCovers(period, timestamp)));
+}
+
+/**
+ * Collect the numbered notes that carry an entity's dates
+ *
+ * @param {Object} entity - Entity object
+ * @param {Object} notes - metadata.notes
+ * @returns {Object[]} Notes ({key, text})
+ */
+function decidingNotes(entity, notes) {
+    return entity.notes
+        .filter(key => /_note_\d+$/.test(key) && notes[key] && /\b\d{4}\b/.test(notes[key]))
+        .map(key => ({ key, text: notes[key] }));
+}
+
+/**
+ * Create a QSO credit checker
+ * The DXCC data must include deleted entities (filterType "all") and the validity fields from the notes.
+ * Data filtered to current entities is accepted with a warning in the warnings list ({code, message}).
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @returns {{check: function(string, (Date|string), string=): Object, checkCode: function(number, string, (Date|string), string=): Object, warnings: Object[]}} Checker instance
+ */
+function createCreditChecker(dxccData) {
+    if (!dxccData || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing entities array');
+    }
+    if (dxccData.entities.some(entity => !Array.isArray(entity.validPeriods))) {
+        throw new Error('DXCC data has no validity fields; regenerate it with the current dxcc-txt2json.js');
+    }
+    const warnings = [];
+    if (dxccData.metadata && dxccData.metadata.filterType === 'current') {
+        warnings.push({
+            code: 'current-entities-only',
+            message: 'DXCC data holds current entities only; QSOs with deleted entities cannot be credited'
+        });
+    }
+
+    const resolver = createResolver(dxccData, { includeDeleted: true });
+    const notes = (dxccData.metadata && dxccData.metadata.notes) || {};
+    const byCode = new Map();
+    dxccData.entities.forEach(entity => {
+        if (entity.entityCode !== null && (!byCode.has(entity.entityCode) || entity.isCurrent)) {
+            byCode.set(entity.entityCode, entity);
+        }
+    });
+
+    /**
+     * Describe an entity a QSO falls outside of
+     *
+     * @param {Object} entity - Entity object
+     * @param {string|null} prefix - Matched prefix pattern
+     * @param {Object[]} periods - Applicable periods
+     * @returns {Object} Outside window entry ({entity, entityCode, prefix, validPeriods, notes})
+     */
+    function outsideWindowEntry(entity, prefix, periods) {
+        return {
+            entity: entity.entity,
+            entityCode: entity.entityCode,
+            prefix: prefix,
+            validPeriods: periods,
+            notes: decidingNotes(entity, notes)
+        };
+    }
+
+    /**
+     * List the successors of an entity that a QSO on the given date counts for
+     *
+     * @param {Object} entity - Entity object
+     * @param {number} timestamp - QSO timestamp
+     * @returns {Object[]} Successor entities
+     */
+    function successorEntities(entity, timestamp) {
+        const successors = (entity.successors || [])
+            .filter(ref => ref.entityCode !== null && byCode.has(ref.entityCode) && periodCovers(ref, timestamp));
+        return [...new Set(successors.map(ref => byCode.get(ref.entityCode)))];
+    }
+
+    /**
+     * Resolve a callsign and QSO date to the entity the contact counts for
+     *
+     * @param {string} callsign - Callsign as logged
+     * @param {Date|string} date - QSO date ("YYYY-MM-DD", "YYYYMMDD" or Date)
+     * @param {string} time - Optional "HHMM" UTC time
+     * @returns {Object} Credit result with the credited entities and the entities ruled out by date
+     */
+    function check(callsign, date, time) {
+        const qsoDate = normalizeQSODate(date, time);
+        const { callsign: normalized, lookup, matches } = resolver.candidates(callsign, {
+            aliasFilter: alias => alias.location === null &&
+                periodCovers({ from: alias.validFrom, until: alias.validUntil }, qsoDate.timestamp)
+        });
+        const result = {
+            callsign: normalized,
+            lookup: lookup,
+            date: qsoDate.iso,
+            matchedPrefix: null,
+            alias: null,
+            entities: [],
+            ambiguous: false,
+            successorOf: null,
+            outsideWindow: []
+        };
+
+        // Longest prefixes first; a shorter prefix is only used when every longer match is out of its window
+        const weights = [...new Set(matches.map(match => match.weight))];
+        for (const weight of weights) {
+            const group = matches.filter(match => match.weight === weight);
+            const valid = [];
+
+            group.forEach(match => {
+                if (valid.some(item => item.entity === match.entity) ||
+                    result.outsideWindow.some(item => item.entity === match.entity.entity && item.entityCode === match.entity.entityCode)) {
+                    return;
+                }
+
+                const periods = applicablePeriods(match.entity, lookup);
+                if (periodsCover(periods, qsoDate.timestamp)) {
+                    valid.push(match);
+                } else {
+                    result.outsideWindow.push(outsideWindowEntry(match.entity, match.pattern, periods || match.entity.validPeriods));
+                }
+            });
+
+            if (valid.length > 0) {
+                result.matchedPrefix = valid[0].pattern;
+                result.alias = valid[0].alias;
+                result.entities = [...new Set(valid.map(match => match.entity))];
+                result.ambiguous = result.entities.length > 1;
+                return result;
+            }
+
+            // "Contacts made July 16, 1972, and after, count as Tonga (A3)"; the entity deleted last comes first,
+            // so a DM2 call after 1990 goes on from the GDR, not from the Germany of before 1973
+            const byDeletion = [...group].sort((a, b) => lastValidDate(b.entity) - lastValidDate(a.entity));
+            for (const match of byDeletion) {
+                const successors = successorEntities(match.entity, qsoDate.timestamp);
+                if (successors.length > 0) {
+                    result.matchedPrefix = match.pattern;
+                    result.alias = match.alias;
+                    result.entities = successors;
+                    result.ambiguous = result.entities.length > 1;
+                    result.successorOf = { entity: match.entity.entity, entityCode: match.entity.entityCode };
+                    return result;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a QSO logged with an entity code, such as the ADIF DXCC field
+     * The entity's valid window and successors apply as in check; the callsign only picks
+     * prefix-specific periods (Germany) and may be empty.
+     *
+     * @param {number} entityCode - Logged entity code
+     * @param {string} callsign - Callsign as logged, or empty
+     * @param {Date|string} date - QSO date ("YYYY-MM-DD", "YYYYMMDD" or Date)
+     * @param {string} time - Optional "HHMM" UTC time
+     * @returns {Object} Credit result like check; entities is empty for an unknown code
+     */
+    function checkCode(entityCode, callsign, date, time) {
+        const qsoDate = normalizeQSODate(date, time);
+        const { callsign: normalized, lookup } = parseCallsign(callsign);
+        const entity = byCode.get(Number(entityCode));
+        const result = {
+            callsign: normalized,
+            lookup: lookup,
+            date: qsoDate.iso,
+            matchedPrefix: null,
+            alias: null,
+            entities: [],
+            ambiguous: false,
+            successorOf: null,
+            outsideWindow: []
+        };
+        if (!entity) return result;
+
+        const periods = applicablePeriods(entity, lookup || '');
+        if (periodsCover(periods, qsoDate.timestamp)) {
+            result.entities = [entity];
+            return result;
+        }
+
+        result.outsideWindow.push(outsideWindowEntry(entity, null, periods || entity.validPeriods));
+        const successors = successorEntities(entity, qsoDate.timestamp);
+        if (successors.length > 0) {
+            result.entities = successors;
+            result.ambiguous = successors.length > 1;
+            result.successorOf = { entity: entity.entity, entityCode: entity.entityCode };
+        }
+        return result;
+    }
+
+    return { check, checkCode, warnings };
+}
+
+/**
+ * Check a single QSO
+ * Convenience wrapper around createCreditChecker for one-off lookups.
+ *
+ * @param {string} callsign - Callsign as logged
+ * @param {Date|string} date - QSO date
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @returns {Object} Credit result (see createCreditChecker)
+ */
+function checkQSOCredit(callsign, date, dxccData) {
+    return createCreditChecker(dxccData).check(callsign, date);
+}
+
+export { createCreditChecker, checkQSOCredit, normalizeQSODate };
@@ -0,0 +1,97 @@
+/**
+ * DXCC CSV/TSV Export
+ *
+ * Features:
+ * - Flatten each entity to one row for spreadsheets and database loaders
+ * - Resolve note keys to their text from metadata.notes
+ * - Quote CSV fields per RFC 4180 ("AS,AF", names with quotes or line breaks)
+ * - Write TSV without quoting; tabs and line breaks inside a field become spaces
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+/**
+ * Columns written for each entity, in order
+ */
+const COLUMNS = ['entityCode', 'entity', 'prefix', 'continent', 'zonesITU', 'zonesCQ', 'isCurrent', 'notes'];
+
+/**
+ * Field delimiters of the supported formats
+ */
+const DELIMITERS = {
+    csv: ',',
+    tsv: '\t'
+};
+
+/**
+ * Format one field
+ * CSV fields holding a comma, quote or line break are quoted with inner quotes doubled;
+ * TSV has no quoting, so tabs and line breaks are replaced by spaces.
+ *
+ * @param {*} value - Field value
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} Formatted field
+ */
+function formatField(value, format) {
+    const text = value === null || value === undefined ? '' : String(value);
+
+    if (format === 'tsv') {
+        return text.replace(/[\t\r\n]+/g, ' ');
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flatten an entity to a row
+ * Zones are written expanded ("23,24" instead of the zone letter "(A)"); notes are resolved to
+ * their text and joined with "; ", unknown keys are written as they are.
+ *
+ * @param {Object} entity - Entity object
+ * @param {Object} notes - metadata.notes
+ * @returns {Object} Row keyed by column name
+ */
+function flattenEntity(entity, notes) {
+    return {
+        entityCode: entity.entityCode,
+        entity: entity.entity,
+        prefix: entity.prefix,
+        continent: entity.continent,
+        zonesITU: (entity.zonesITU || []).join(','),
+        zonesCQ: (entity.zonesCQ || []).join(','),
+        isCurrent: entity.isCurrent,
+        notes: (entity.notes || []).map(key => notes[key] || key).join('; ')
+    };
+}
+
+/**
+ * Render DXCC data as CSV or TSV
+ * One header row, then one row per entity in list order.
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @param {string} format - 'csv' [default] or 'tsv'
+ * @returns {string} Delimited text ending with a newline
+ */
+function formatEntitiesDelimited(dxccData, format = 'csv') {
+    if (!dxccData || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing entities array');
+    }
+    if (!DELIMITERS[format]) {
+        throw new Error(`Invalid format: '${format}' (expected csv or tsv)`);
+    }
+
+    const notes = (dxccData.metadata && dxccData.metadata.notes) || {};
+    const delimiter = DELIMITERS[format];
+    const lines = [COLUMNS.join(delimiter)];
+
+    dxccData.entities.forEach(entity => {
+        const row = flattenEntity(entity, notes);
+        lines.push(COLUMNS.map(column => formatField(row[column], format)).join(delimiter));
+    });
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+export { formatEntitiesDelimited, flattenEntity, formatField, COLUMNS as DELIMITED_COLUMNS };
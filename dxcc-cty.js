@@ -0,0 +1,251 @@
+/**
+ * DXCC Country File (cty.dat) Export
+ *
+ * Features:
+ * - Write current entities in the CT/cty.dat country file layout used by contest loggers
+ * - One header line per entity (name, CQ zone, ITU zone, continent, position, UTC offset, primary prefix)
+ *   followed by the expanded prefix list
+ * - Pick one zone for entities spanning several zones, or leave them out, or take the zones given by the caller
+ * - Write each prefix the list gives to several entities for one of them only and report the others
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { expandPrefix } from './dxcc-prefix.js';
+
+/**
+ * Maximum length of a prefix list line, including the four-space indent
+ */
+const LINE_WIDTH = 80;
+
+/**
+ * Convert an expanded prefix to cty.dat prefixes
+ * cty.dat prefixes match the start of a call, so call-suffix patterns are written as "=" full calls, one per
+ * call area digit: "FT/G" gives =FT0G ... =FT9G and "4U_ITU" =4U0ITU ... =4U9ITU, leaving out the call areas
+ * other entities name (no =SV5A for "SV/A"); "R1/F" already names its call area and gives =R1F.
+ *
+ * @param {string} prefix - Expanded prefix from expandPrefix
+ * @param {Object} options - Conversion options
+ * @param {string[]} options.reserved - Prefixes other entities name
+ * @returns {string[]} cty.dat prefixes
+ */
+function toCtyPrefixes(prefix, options = {}) {
+    const suffixMatch = prefix.match(/^([A-Z0-9]+)[_\/]([A-Z0-9]+)$/);
+    if (!suffixMatch) return [prefix];
+
+    const [, base, suffix] = suffixMatch;
+    if (/\d$/.test(base)) return [`=${base}${suffix}`];
+    const reserved = new Set(options.reserved || []);
+    return ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9']
+        .filter(digit => !reserved.has(base + digit))
+        .map(digit => `=${base}${digit}${suffix}`);
+}
+
+/**
+ * Pick the entity each shared cty.dat prefix is written for
+ * A prefix several entities claim goes to the entity listing it in its first prefix group ("VP8" of
+ * "VP8,LU", all of "LO-LW"), the lowest entity code among several; a prefix only listed as an alternative
+ * ("TO" of "FG,TO") goes to none of them. prefixOwners names the owner by entity code instead.
+ *
+ * @param {Object[]} entities - Entities written to the country file
+ * @param {string[][]} claims - cty.dat prefixes of each entity
+ * @param {Object} prefixOwners - Owner entity codes by cty.dat prefix
+ * @returns {{owners: Map<string, Object|null>, conflicts: Object[]}} Owner of every prefix and the shared
+ *     prefixes, each with its owner (null for none) and the entities it is left out for
+ */
+function pickPrefixOwners(entities, claims, prefixOwners) {
+    const claimants = new Map();
+    claims.forEach((prefixes, index) => {
+        prefixes.forEach(prefix => {
+            if (!claimants.has(prefix)) claimants.set(prefix, []);
+            claimants.get(prefix).push(entities[index]);
+        });
+    });
+
+    const owners = new Map();
+    const conflicts = [];
+    claimants.forEach((candidates, prefix) => {
+        if (candidates.length === 1) {
+            owners.set(prefix, candidates[0]);
+            return;
+        }
+
+        let owner = candidates.find(entity => entity.entityCode === prefixOwners[prefix]);
+        if (!owner) {
+            owner = candidates
+                .filter(entity => expandPrefix(entity.prefix.split(',')[0]).flatMap(toCtyPrefixes).includes(prefix))
+                .sort((a, b) => a.entityCode - b.entityCode)[0] || null;
+        }
+        owners.set(prefix, owner);
+        conflicts.push({
+            prefix,
+            owner: owner ? { entityCode: owner.entityCode, entity: owner.entity } : null,
+            leftOut: candidates
+                .filter(entity => entity !== owner)
+                .map(entity => ({ entityCode: entity.entityCode, entity: entity.entity }))
+        });
+    });
+
+    return { owners, conflicts };
+}
+
+/**
+ * Pick the CQ and ITU zone of an entity's header line
+ * The header line holds one zone each; entities listed with several zones (a zone note letter such as
+ * "(A)" or a list such as "14,16") get the lowest zone unless the caller gives the zones in zoneOverrides.
+ *
+ * @param {Object} entity - Entity object
+ * @param {Object} zoneOverrides - Zones by entity code ({cq, itu})
+ * @returns {{cqZone: number|null, ituZone: number|null, picked: string[]}} Zones of the header line and the
+ *     zone kinds ('CQ', 'ITU') picked from several zones without an override
+ */
+function pickZones(entity, zoneOverrides) {
+    const override = zoneOverrides[entity.entityCode] || {};
+    const zonesCQ = entity.zonesCQ || [];
+    const zonesITU = entity.zonesITU || [];
+    const lowest = zones => zones.length > 0 ? Math.min(...zones) : null;
+    const picked = [];
+    if (override.cq === undefined && zonesCQ.length > 1) picked.push('CQ');
+    if (override.itu === undefined && zonesITU.length > 1) picked.push('ITU');
+
+    return {
+        cqZone: override.cq !== undefined ? override.cq : lowest(zonesCQ),
+        ituZone: override.itu !== undefined ? override.itu : lowest(zonesITU),
+        picked
+    };
+}
+
+/**
+ * Wrap a prefix list into indented lines ending with ";"
+ *
+ * @param {string[]} prefixes - cty.dat prefixes
+ * @returns {string[]} Prefix list lines
+ */
+function wrapPrefixes(prefixes) {
+    const lines = [];
+    let line = '    ';
+
+    prefixes.forEach((prefix, index) => {
+        const item = prefix + (index === prefixes.length - 1 ? ';' : ',');
+        if (line.length > 4 && line.length + item.length > LINE_WIDTH) {
+            lines.push(line);
+            line = '    ';
+        }
+        line += item;
+    });
+
+    lines.push(line);
+    return lines;
+}
+
+/**
+ * Format a number with a fixed number of decimals, right aligned
+ *
+ * @param {number} value - Number to format
+ * @param {number} decimals - Decimal places
+ * @param {number} width - Field width without the colon
+ * @returns {string} Field text including the trailing colon
+ */
+function numberField(value, decimals, width) {
+    return `${value.toFixed(decimals).padStart(width)}:`;
+}
+
+/**
+ * Create a cty.dat country file from DXCC data
+ * Only current entities are written; the primary prefix is the first cty.dat prefix of the entity
+ * (FT0G for "FT/G", 4U0ITU for "4U_ITU"). Every zone picked from several zones without a zoneOverrides
+ * entry is listed in multiZone, with the kinds of zone it was picked for ('CQ', 'ITU') in picked.
+ * A prefix the list gives to several entities is written for one of them (see pickPrefixOwners) and listed
+ * in conflicts; entities left with no prefix are skipped.
+ * The ARRL list has no positions or time zones, so latitude, longitude and UTC offset are 0 unless given
+ * in options.locations (north, east and ahead of UTC positive; they are written with the cty.dat signs,
+ * where west and behind UTC are positive).
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @param {Object} options - Export options
+ * @param {string} options.multiZone - Entities with several zones: 'first' [default] uses the lowest zone, 'skip' leaves them out
+ * @param {Object} options.zoneOverrides - Header line zones by entity code, e.g. { 15: { cq: 17, itu: 30 } }
+ * @param {Object} options.locations - Positions by entity code ({latitude, longitude, utcOffset})
+ * @param {Object} options.prefixOwners - Entity codes to write shared prefixes for, e.g. { FO: 175 }
+ * @returns {{text: string, multiZone: Object[], conflicts: Object[], skipped: Object[]}} Country file and the
+ *     entities that need attention
+ */
+function createCtyDat(dxccData, options = {}) {
+    if (!dxccData || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing entities array');
+    }
+
+    const multiZoneMode = options.multiZone || 'first';
+    if (!['first', 'skip'].includes(multiZoneMode)) {
+        throw new Error(`Invalid multiZone option: '${multiZoneMode}' (expected first or skip)`);
+    }
+    const zoneOverrides = options.zoneOverrides || {};
+    const locations = options.locations || {};
+    const prefixOwners = options.prefixOwners || {};
+
+    const lines = [];
+    const multiZone = [];
+    const skipped = [];
+
+    const entities = dxccData.entities.filter(entity => entity.isCurrent);
+    const reserved = entities.flatMap(entity => entity.prefixes || []);
+    const claims = entities.map(entity => [...new Set((entity.prefixes || [])
+        .flatMap(prefix => toCtyPrefixes(prefix, { reserved })))]);
+    const { owners, conflicts } = pickPrefixOwners(entities, claims, prefixOwners);
+
+    entities.forEach((entity, index) => {
+        if (claims[index].length === 0) {
+            skipped.push({ entityCode: entity.entityCode, entity: entity.entity, reason: 'no prefix' });
+            return;
+        }
+        const prefixes = claims[index].filter(prefix => owners.get(prefix) === entity);
+        if (prefixes.length === 0) {
+            skipped.push({ entityCode: entity.entityCode, entity: entity.entity, reason: 'prefixes written for other entities' });
+            return;
+        }
+
+        const zones = pickZones(entity, zoneOverrides);
+        if (zones.cqZone === null || zones.ituZone === null) {
+            skipped.push({ entityCode: entity.entityCode, entity: entity.entity, reason: 'no zone' });
+            return;
+        }
+        if (zones.picked.length > 0) {
+            if (multiZoneMode === 'skip') {
+                skipped.push({ entityCode: entity.entityCode, entity: entity.entity, reason: 'several zones' });
+                return;
+            }
+            multiZone.push({
+                entityCode: entity.entityCode,
+                entity: entity.entity,
+                zonesCQ: entity.zonesCQ,
+                zonesITU: entity.zonesITU,
+                cqZone: zones.cqZone,
+                ituZone: zones.ituZone,
+                picked: zones.picked
+            });
+        }
+
+        const location = locations[entity.entityCode] || {};
+        // Several continents ("EU,AS"): the first one is listed
+        const continent = entity.continent.split(',')[0];
+
+        lines.push([
+            `${entity.entity.replace(/:/g, ' ')}:`.padEnd(26),
+            `${String(zones.cqZone).padStart(4)}:`,
+            `${String(zones.ituZone).padStart(4)}:`,
+            `${continent.padStart(4)}:`,
+            numberField(location.latitude || 0, 2, 8),
+            numberField(-(location.longitude || 0), 2, 9),
+            numberField(-(location.utcOffset || 0), 1, 8),
+            ` ${prefixes[0].replace(/^=/, '').padStart(5)}:`
+        ].join(''));
+        lines.push(...wrapPrefixes(prefixes));
+    });
+
+    lines.push('');
+    return { text: lines.join('\n'), multiZone, conflicts, skipped };
+}
+
+export { createCtyDat, toCtyPrefixes };
@@ -0,0 +1,303 @@
+/**
+ * DXCC Edition Diff
+ *
+ * Features:
+ * - Compare two editions of the DXCC list entity by entity, keyed by entityCode
+ * - Detect new, deleted, reinstated and removed entities
+ * - Detect renames, prefix changes, zone corrections, continent changes and note edits
+ * - Render the change report as Markdown
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { expandPrefix } from './dxcc-prefix.js';
+
+/**
+ * Change status labels used in the report and their Markdown headings
+ */
+const STATUS_TITLES = {
+    added: 'New Entities',
+    deleted: 'Deleted Entities',
+    reinstated: 'Reinstated Entities',
+    removed: 'Removed from List',
+    changed: 'Changed Entities'
+};
+
+/**
+ * Entity fields compared between editions and their Markdown headings
+ */
+const FIELD_TITLES = {
+    entity: 'Renamed',
+    prefix: 'Prefix Changes',
+    zoneITU: 'ITU Zone Changes',
+    zoneCQ: 'CQ Zone Changes',
+    continent: 'Continent Changes',
+    notes: 'Note Changes'
+};
+
+/**
+ * Index entities by entity code
+ * Legacy lists may have no code (null) or list one entity twice; the current entry is kept.
+ *
+ * @param {Object[]} entities - Entities from createDXCCData output
+ * @returns {Object} Entity map keyed by code and names of entities without a code
+ */
+function indexByEntityCode(entities) {
+    const byCode = new Map();
+    const unkeyed = [];
+
+    entities.forEach(entity => {
+        if (entity.entityCode === null || entity.entityCode === undefined) {
+            unkeyed.push(entity.entity);
+            return;
+        }
+
+        const existing = byCode.get(entity.entityCode);
+        if (!existing || (!existing.isCurrent && entity.isCurrent)) {
+            byCode.set(entity.entityCode, entity);
+        }
+    });
+
+    return { byCode, unkeyed };
+}
+
+/**
+ * Resolve entity note keys to comparable text
+ * Numbered notes ("current_note_12") are renumbered between editions, so their text is compared instead.
+ *
+ * @param {Object} entity - Entity object
+ * @param {Object} notes - metadata.notes of the entity's edition
+ * @returns {string[]} Sorted note texts
+ */
+function resolveNoteTexts(entity, notes) {
+    return (entity.notes || [])
+        .map(key => /_note_\d+$/.test(key) && notes[key] ? notes[key].replace(/\s+/g, ' ').trim() : key)
+        .sort();
+}
+
+/**
+ * Compare two lists as sets
+ *
+ * @param {Array} a - First list
+ * @param {Array} b - Second list
+ * @returns {boolean} True if both lists hold the same values
+ */
+function sameValues(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    return setA.size === setB.size && [...setA].every(value => setB.has(value));
+}
+
+/**
+ * Compare the fields of one entity in two editions
+ * Prefixes and zones are compared by their expanded values, so "3B6, 7" and "3B6,7" are equal.
+ *
+ * @param {Object} oldEntity - Entity in the older edition
+ * @param {Object} newEntity - Entity in the newer edition
+ * @param {Object} oldNotes - metadata.notes of the older edition
+ * @param {Object} newNotes - metadata.notes of the newer edition
+ * @returns {Object} Changed fields with from/to values
+ */
+function compareEntity(oldEntity, newEntity, oldNotes, newNotes) {
+    const fields = {};
+
+    if (oldEntity.entity !== newEntity.entity) {
+        fields.entity = { from: oldEntity.entity, to: newEntity.entity };
+    }
+
+    const oldPrefixes = oldEntity.prefixes || expandPrefix(oldEntity.prefix);
+    const newPrefixes = newEntity.prefixes || expandPrefix(newEntity.prefix);
+    if (!sameValues(oldPrefixes, newPrefixes)) {
+        fields.prefix = { from: oldEntity.prefix, to: newEntity.prefix };
+    }
+
+    [['zoneITU', 'zonesITU'], ['zoneCQ', 'zonesCQ']].forEach(([tokenField, listField]) => {
+        const changed = oldEntity[listField] && newEntity[listField]
+            ? !sameValues(oldEntity[listField], newEntity[listField])
+            : oldEntity[tokenField] !== newEntity[tokenField];
+        if (changed) {
+            fields[tokenField] = { from: oldEntity[tokenField], to: newEntity[tokenField] };
+        }
+    });
+
+    if (!sameValues(oldEntity.continent.split(','), newEntity.continent.split(','))) {
+        fields.continent = { from: oldEntity.continent, to: newEntity.continent };
+    }
+
+    const oldNoteTexts = resolveNoteTexts(oldEntity, oldNotes);
+    const newNoteTexts = resolveNoteTexts(newEntity, newNotes);
+    if (!sameValues(oldNoteTexts, newNoteTexts)) {
+        fields.notes = {
+            from: oldNoteTexts,
+            to: newNoteTexts,
+            removed: oldNoteTexts.filter(text => !newNoteTexts.includes(text)),
+            added: newNoteTexts.filter(text => !oldNoteTexts.includes(text))
+        };
+    }
+
+    return fields;
+}
+
+/**
+ * Compare two DXCC editions
+ * Both inputs are createDXCCData results (or generated JSON files); pass the older edition first.
+ *
+ * @param {Object} oldData - Older edition
+ * @param {Object} newData - Newer edition
+ * @returns {Object} Change report keyed by entityCode
+ */
+function diffDXCCData(oldData, newData) {
+    if (!oldData || !Array.isArray(oldData.entities) || !newData || !Array.isArray(newData.entities)) {
+        throw new Error('Invalid DXCC data: missing entities array');
+    }
+
+    const oldNotes = oldData.metadata.notes || {};
+    const newNotes = newData.metadata.notes || {};
+    const oldIndex = indexByEntityCode(oldData.entities);
+    const newIndex = indexByEntityCode(newData.entities);
+
+    const codes = [...new Set([...oldIndex.byCode.keys(), ...newIndex.byCode.keys()])].sort((a, b) => a - b);
+    const changes = {};
+    const summary = { added: 0, deleted: 0, reinstated: 0, removed: 0, changed: 0, unchanged: 0 };
+    Object.keys(FIELD_TITLES).forEach(field => { summary[field] = 0; });
+
+    codes.forEach(code => {
+        const oldEntity = oldIndex.byCode.get(code);
+        const newEntity = newIndex.byCode.get(code);
+        let status;
+        let fields = {};
+
+        if (!oldEntity) {
+            status = 'added';
+        } else if (!newEntity) {
+            status = 'removed';
+        } else {
+            fields = compareEntity(oldEntity, newEntity, oldNotes, newNotes);
+            if (oldEntity.isCurrent && !newEntity.isCurrent) {
+                status = 'deleted';
+            } else if (!oldEntity.isCurrent && newEntity.isCurrent) {
+                status = 'reinstated';
+            } else if (Object.keys(fields).length > 0) {
+                status = 'changed';
+            } else {
+                summary.unchanged++;
+                return;
+            }
+        }
+
+        summary[status]++;
+        Object.keys(fields).forEach(field => { summary[field]++; });
+
+        const entity = newEntity || oldEntity;
+        changes[code] = {
+            entityCode: code,
+            entity: entity.entity,
+            prefix: entity.prefix,
+            status: status,
+            isCurrent: { from: oldEntity ? oldEntity.isCurrent : null, to: newEntity ? newEntity.isCurrent : null },
+            fields: fields
+        };
+    });
+
+    return {
+        from: { sourceFile: oldData.metadata.sourceFile, edition: oldData.metadata.edition },
+        to: { sourceFile: newData.metadata.sourceFile, edition: newData.metadata.edition },
+        summary: summary,
+        changes: changes,
+        unkeyed: { from: oldIndex.unkeyed, to: newIndex.unkeyed }
+    };
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell text
+ */
+function markdownCell(value) {
+    const text = Array.isArray(value) ? value.join('; ') : String(value === null || value === undefined ? '' : value);
+    return text.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim() || '-';
+}
+
+/**
+ * Render a change report as Markdown
+ *
+ * @param {Object} report - Result of diffDXCCData
+ * @returns {string} Markdown document
+ */
+function formatDiffMarkdown(report) {
+    const lines = [];
+    const changes = Object.values(report.changes);
+
+    lines.push(`# DXCC Changes: ${report.from.edition} → ${report.to.edition}`);
+    lines.push('');
+    lines.push(`- From: \`${report.from.sourceFile}\` (${report.from.edition})`);
+    lines.push(`- To: \`${report.to.sourceFile}\` (${report.to.edition})`);
+    lines.push('');
+    lines.push('## Summary');
+    lines.push('');
+    lines.push('| Change | Count |');
+    lines.push('|---|---|');
+    Object.keys(STATUS_TITLES).forEach(status => {
+        lines.push(`| ${STATUS_TITLES[status]} | ${report.summary[status]} |`);
+    });
+    Object.keys(FIELD_TITLES).forEach(field => {
+        lines.push(`| ${FIELD_TITLES[field]} | ${report.summary[field]} |`);
+    });
+    lines.push(`| Unchanged | ${report.summary.unchanged} |`);
+
+    ['added', 'deleted', 'reinstated', 'removed'].forEach(status => {
+        const entries = changes.filter(change => change.status === status);
+        if (entries.length === 0) return;
+
+        lines.push('');
+        lines.push(`## ${STATUS_TITLES[status]}`);
+        lines.push('');
+        lines.push('| Code | Prefix | Entity |');
+        lines.push('|---|---|---|');
+        entries.forEach(change => {
+            lines.push(`| ${change.entityCode} | ${markdownCell(change.prefix)} | ${markdownCell(change.entity)} |`);
+        });
+    });
+
+    Object.keys(FIELD_TITLES).forEach(field => {
+        const entries = changes.filter(change => change.fields[field]);
+        if (entries.length === 0) return;
+
+        lines.push('');
+        lines.push(`## ${FIELD_TITLES[field]}`);
+        lines.push('');
+        if (field === 'notes') {
+            lines.push('| Code | Entity | Removed | Added |');
+            lines.push('|---|---|---|---|');
+            entries.forEach(change => {
+                const { removed, added } = change.fields.notes;
+                lines.push(`| ${change.entityCode} | ${markdownCell(change.entity)} | ${markdownCell(removed)} | ${markdownCell(added)} |`);
+            });
+        } else {
+            lines.push('| Code | Entity | From | To |');
+            lines.push('|---|---|---|---|');
+            entries.forEach(change => {
+                const { from, to } = change.fields[field];
+                lines.push(`| ${change.entityCode} | ${markdownCell(change.entity)} | ${markdownCell(from)} | ${markdownCell(to)} |`);
+            });
+        }
+    });
+
+    if (report.unkeyed.from.length > 0 || report.unkeyed.to.length > 0) {
+        lines.push('');
+        lines.push('## Entities Without Entity Code');
+        lines.push('');
+        lines.push('These entities could not be compared:');
+        lines.push('');
+        report.unkeyed.from.forEach(name => lines.push(`- ${report.from.edition}: ${name}`));
+        report.unkeyed.to.forEach(name => lines.push(`- ${report.to.edition}: ${name}`));
+    }
+
+    lines.push('');
+    return lines.join('\n');
+}
+
+export { diffDXCCData, formatDiffMarkdown, indexByEntityCode };
@@ -0,0 +1,146 @@
+/**
+ * DXCC Multi-Edition History
+ *
+ * Features:
+ * - Merge several editions of the DXCC list into one document keyed by entityCode
+ * - Keep a per-entity timeline of name, prefix, zones and current/deleted status
+ * - Look up what an entity looked like in a given year
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { indexByEntityCode } from './dxcc-diff.js';
+import { CONVERTER } from './dxcc-provenance.js';
+
+/**
+ * Get the year of an edition
+ *
+ * @param {Object} dxccData - Parsed DXCC data
+ * @returns {number|null} Four-digit year, or null if the edition has none
+ */
+function editionYear(dxccData) {
+    const yearMatch = String(dxccData.metadata.edition || '').match(/(\d{4})/);
+    return yearMatch ? parseInt(yearMatch[1]) : null;
+}
+
+/**
+ * Create a timeline entry for one entity in one edition
+ *
+ * @param {Object} entity - Entity object
+ * @param {Object} edition - Edition descriptor ({edition, year, sourceFile})
+ * @returns {Object} Timeline entry
+ */
+function createTimelineEntry(entity, edition) {
+    return {
+        year: edition.year,
+        edition: edition.edition,
+        entity: entity.entity,
+        prefix: entity.prefix,
+        continent: entity.continent,
+        zoneITU: entity.zoneITU,
+        zoneCQ: entity.zoneCQ,
+        zonesITU: entity.zonesITU,
+        zonesCQ: entity.zonesCQ,
+        isCurrent: entity.isCurrent
+    };
+}
+
+/**
+ * Merge several editions into one history document
+ * Editions are ordered by year; each entity gets one timeline entry per edition that lists it.
+ * With options.reproducible the timestamp is the newest generatedAt of the editions, so editions
+ * converted with a fixed timestamp give a byte-identical history.
+ *
+ * @param {Object[]} editions - createDXCCData results (or generated JSON files) with all entities
+ * @param {Object} options - History options
+ * @param {boolean} options.reproducible - Take generatedAt from the editions instead of the clock
+ * @returns {Object} History document keyed by entityCode; metadata.warnings ({code, sourceFile, message})
+ *     lists editions filtered to current or deleted entities, which leave gaps in the timeline
+ */
+function createDXCCHistory(editions, options = {}) {
+    if (!Array.isArray(editions) || editions.length === 0) {
+        throw new Error('Invalid editions: expected a non-empty array of DXCC data');
+    }
+
+    const sorted = [...editions].sort((a, b) => editionYear(a) - editionYear(b));
+    const editionList = sorted.map(data => ({
+        year: editionYear(data),
+        edition: data.metadata.edition,
+        sourceFile: data.metadata.sourceFile,
+        sourceSha256: data.metadata.provenance ? data.metadata.provenance.sourceSha256 : null,
+        filterType: data.metadata.filterType
+    }));
+
+    const entities = {};
+    const unkeyed = {};
+    const warnings = [];
+
+    sorted.forEach((data, index) => {
+        const edition = editionList[index];
+        const { byCode, unkeyed: withoutCode } = indexByEntityCode(data.entities);
+
+        if (edition.filterType && edition.filterType !== 'all') {
+            warnings.push({
+                code: 'filtered-edition',
+                sourceFile: edition.sourceFile,
+                message: `${edition.sourceFile} only holds ${edition.filterType} entities; the timeline will have gaps`
+            });
+        }
+
+        byCode.forEach((entity, code) => {
+            if (!entities[code]) {
+                entities[code] = { entityCode: code, entity: entity.entity, timeline: [] };
+            }
+            // The newest name is used as the entity title
+            entities[code].entity = entity.entity;
+            entities[code].timeline.push(createTimelineEntry(entity, edition));
+        });
+
+        if (withoutCode.length > 0) {
+            unkeyed[edition.year] = withoutCode;
+        }
+    });
+
+    return {
+        metadata: {
+            title: 'ARRL DXCC List History',
+            description: 'DXCC entities merged from several editions, with a timeline per entity',
+            editions: editionList.map(({ year, edition, sourceFile, sourceSha256 }) => ({ year, edition, sourceFile, sourceSha256 })),
+            totalEntities: Object.keys(entities).length,
+            unkeyed: unkeyed,
+            warnings: warnings,
+            generatedAt: options.reproducible
+                ? sorted.map(data => data.metadata.generatedAt).sort().pop()
+                : new Date().toISOString(),
+            version: CONVERTER.version,
+            author: CONVERTER.author
+        },
+        entities: entities
+    };
+}
+
+/**
+ * Look up an entity as it was listed in a given year
+ * Years between editions use the latest edition published up to that year.
+ *
+ * @param {Object} history - Result of createDXCCHistory
+ * @param {number} entityCode - DXCC entity code
+ * @param {number} year - Year to look up
+ * @returns {Object|null} Timeline entry, or null if the entity was not listed yet
+ */
+function lookupEntityHistory(history, entityCode, year) {
+    const record = history.entities[entityCode];
+    if (!record) return null;
+
+    const editionYears = history.metadata.editions
+        .map(edition => edition.year)
+        .filter(editionYear => editionYear <= year);
+    if (editionYears.length === 0) return null;
+
+    const latestYear = Math.max(...editionYears);
+    return record.timeline.find(entry => entry.year === latestYear) || null;
+}
+
+export { createDXCCHistory, lookupEntityHistory };
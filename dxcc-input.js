@@ -0,0 +1,151 @@
+/**
+ * DXCC Input Normalization
+ *
+ * Features:
+ * - Detect the encoding of a downloaded list: UTF-8, UTF-16 with BOM, or Windows-1252 (Latin-1)
+ * - Strip the byte order mark, convert CRLF and CR line endings to LF and expand tabs
+ * - Report what was changed, for the metadata of the generated data
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+/**
+ * Tab stop width used by the ARRL lists
+ */
+const TAB_WIDTH = 8;
+
+/**
+ * Windows-1252 characters for bytes 0x80-0x9F; the other bytes match Latin-1.
+ * Bytes that Windows-1252 leaves undefined keep their Latin-1 control character.
+ */
+const WINDOWS_1252 = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†',
+    0x87: '‡', 0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ',
+    0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•',
+    0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›',
+    0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+/**
+ * Expand tabs to spaces
+ * Tab stops are every 8 columns, so tab-indented rows line up with the underscore row again.
+ *
+ * @param {string} line - Source line
+ * @returns {string} Line without tabs and without the trailing carriage return
+ */
+function expandTabs(line) {
+    let column = 0;
+    let result = '';
+    for (const char of line.replace(/\r$/, '')) {
+        if (char === '\t') {
+            const width = TAB_WIDTH - (column % TAB_WIDTH);
+            result += ' '.repeat(width);
+            column += width;
+        } else {
+            result += char;
+            column++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Check whether a buffer is valid UTF-8
+ *
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {boolean} True if every byte sequence is well-formed UTF-8
+ */
+function isValidUTF8(buffer) {
+    let i = 0;
+    while (i < buffer.length) {
+        const byte = buffer[i];
+        const length = byte < 0x80 ? 1 : (byte >> 5) === 0x06 ? 2 : (byte >> 4) === 0x0E ? 3 : (byte >> 3) === 0x1E ? 4 : 0;
+        if (length === 0 || (length === 2 && byte < 0xC2) || i + length > buffer.length) return false;
+        for (let k = 1; k < length; k++) {
+            if ((buffer[i + k] & 0xC0) !== 0x80) return false;
+        }
+        i += length;
+    }
+    return true;
+}
+
+/**
+ * Decode Windows-1252 bytes
+ *
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} Decoded text
+ */
+function decodeWindows1252(buffer) {
+    let text = '';
+    for (let i = 0; i < buffer.length; i++) {
+        text += WINDOWS_1252[buffer[i]] || String.fromCharCode(buffer[i]);
+    }
+    return text;
+}
+
+/**
+ * Decode a list to text
+ * A BOM decides the encoding; without one, bytes that are valid UTF-8 are read as UTF-8 and
+ * anything else as Windows-1252, the encoding of lists saved on Windows.
+ *
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {{text: string, encoding: string, bomRemoved: boolean}} Text without BOM and the detected encoding
+ */
+function decodeBuffer(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { text: buffer.slice(3).toString('utf-8'), encoding: 'utf-8', bomRemoved: true };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { text: buffer.slice(2).toString('utf16le'), encoding: 'utf-16le', bomRemoved: true };
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        // Swap to little endian; a trailing odd byte is dropped
+        const swapped = Buffer.from(buffer.slice(2, 2 + ((buffer.length - 2) & ~1)));
+        swapped.swap16();
+        return { text: swapped.toString('utf16le'), encoding: 'utf-16be', bomRemoved: true };
+    }
+    if (isValidUTF8(buffer)) {
+        return { text: buffer.toString('utf-8'), encoding: 'utf-8', bomRemoved: false };
+    }
+    return { text: decodeWindows1252(buffer), encoding: 'windows-1252', bomRemoved: false };
+}
+
+/**
+ * Normalize a list before parsing
+ * Strings are taken as already decoded, so only their BOM, line endings and tabs are handled.
+ *
+ * @param {string|Buffer} input - List content
+ * @returns {{lines: string[], normalization: Object}} Normalized lines, and what was changed
+ *     ({encoding, bomRemoved, lineEndings, tabLinesExpanded}); encoding is null for string input
+ */
+function normalizeInput(input) {
+    let { text, encoding, bomRemoved } = Buffer.isBuffer(input)
+        ? decodeBuffer(input)
+        : { text: String(input), encoding: null, bomRemoved: false };
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+        bomRemoved = true;
+    }
+
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const cr = (text.match(/\r(?!\n)/g) || []).length;
+    const lf = (text.match(/(?<!\r)\n/g) || []).length;
+    const kinds = [crlf && 'crlf', cr && 'cr', lf && 'lf'].filter(Boolean);
+    const lineEndings = kinds.length === 0 ? 'none' : (kinds.length === 1 ? kinds[0] : 'mixed');
+
+    let tabLinesExpanded = 0;
+    const lines = text.split(/\r\n|\r|\n/).map(line => {
+        if (!line.includes('\t')) return line;
+        tabLinesExpanded++;
+        return expandTabs(line);
+    });
+
+    return {
+        lines,
+        normalization: { encoding, bomRemoved, lineEndings, tabLinesExpanded }
+    };
+}
+
+export { normalizeInput, expandTabs, decodeBuffer };
@@ -0,0 +1,219 @@
+/**
+ * DXCC Log Consistency Check
+ *
+ * Features:
+ * - Cross-check the DXCC, CQZ, ITUZ and CONT fields of ADIF records against the entity data
+ * - Flag entity codes that do not match the callsign, zones outside the entity's zones and
+ *   entities logged outside their valid window (deleted entities after their end date)
+ * - Build corrected records where the right value is certain
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { createCreditChecker } from './dxcc-credit.js';
+
+/**
+ * Describe an entity for messages
+ *
+ * @param {Object} entity - Entity object
+ * @returns {string} "Name (entity code N)"
+ */
+function entityLabel(entity) {
+    return `${entity.entity} (entity code ${entity.entityCode})`;
+}
+
+/**
+ * Check a zone field against the zones listed for an entity
+ * Zone letters such as "(A)" are already resolved in zonesCQ/zonesITU.
+ *
+ * @param {Object} record - ADIF record
+ * @param {string} field - 'CQZ' or 'ITUZ'
+ * @param {number[]} zones - Zones listed for the entity
+ * @param {Object} entity - Expected entity
+ * @returns {Object|null} Issue, or null when the field is absent or listed
+ */
+function checkZone(record, field, zones, entity) {
+    if (record[field] === undefined || String(record[field]).trim() === '' || zones.length === 0) return null;
+
+    const logged = parseInt(record[field]);
+    if (zones.includes(logged)) return null;
+
+    return {
+        field,
+        code: field === 'CQZ' ? 'cqz-mismatch' : 'ituz-mismatch',
+        logged: String(record[field]).trim(),
+        expected: zones.length === 1 ? String(zones[0]) : null,
+        message: `${field} ${record[field]} is not a zone of ${entityLabel(entity)} (${zones.join(', ')})`
+    };
+}
+
+/**
+ * Check whether a callsign tells its entity for certain
+ * A portable designator ("F/DL1ABC", "DL1ABC/P") or a prefix cross reference ("UC (before 1991) = EU")
+ * may stand for an operation the list cannot show, so a logged DXCC code is not overwritten from it.
+ *
+ * @param {Object} credit - Credit result for the callsign
+ * @returns {boolean} True if the callsign match is plain
+ */
+function isCertainMatch(credit) {
+    return credit.alias === null && !credit.callsign.includes('/');
+}
+
+/**
+ * Check one ADIF record
+ * The expected entity comes from the callsign and QSO date; when the callsign does not tell
+ * (shared prefix, no CALL) the logged DXCC code is checked on its own.
+ *
+ * @param {Object} record - ADIF record
+ * @param {Object} checker - Checker from createCreditChecker
+ * @param {Map} byCode - Entities by entity code
+ * @returns {{issues: Object[], skipped: string|null}} Issues found, or the reason the record was not checked
+ */
+function checkRecord(record, checker, byCode) {
+    const call = String(record.CALL || '').trim();
+    const date = String(record.QSO_DATE || '').trim();
+    const loggedText = record.DXCC !== undefined ? String(record.DXCC).trim() : '';
+    const loggedCode = /^\d+$/.test(loggedText) ? parseInt(loggedText) : null;
+    const issues = [];
+
+    if (!date) {
+        return { issues, skipped: 'no QSO_DATE' };
+    }
+
+    let credit = null;
+    let codeCredit = null;
+    try {
+        credit = call ? checker.check(call, date, record.TIME_ON) : null;
+        codeCredit = loggedCode ? checker.checkCode(loggedCode, call, date, record.TIME_ON) : null;
+    } catch (error) {
+        return { issues, skipped: error.message };
+    }
+
+    let expected = credit && credit.entities.length === 1 ? credit.entities[0] : null;
+    const callCode = expected && isCertainMatch(credit) ? String(expected.entityCode) : null;
+
+    if (loggedText && loggedCode === null) {
+        issues.push({ field: 'DXCC', code: 'invalid-dxcc', logged: loggedText, expected: callCode,
+            message: `DXCC '${loggedText}' is not an entity code` });
+    } else if (loggedCode === 0) {
+        if (expected) {
+            issues.push({ field: 'DXCC', code: 'dxcc-mismatch', logged: loggedText, expected: callCode,
+                message: `DXCC 0 marks a contact outside any entity, but ${call} on ${date} is ${entityLabel(expected)}` });
+        }
+    } else if (loggedCode !== null && !byCode.has(loggedCode)) {
+        issues.push({ field: 'DXCC', code: 'unknown-dxcc', logged: loggedText, expected: callCode,
+            message: `DXCC ${loggedCode} is not in this edition` });
+    } else if (loggedCode !== null) {
+        const loggedEntity = byCode.get(loggedCode);
+
+        if (codeCredit.outsideWindow.length > 0) {
+            const successor = codeCredit.entities.length === 1 ? codeCredit.entities[0] : null;
+            const ended = !loggedEntity.isCurrent && loggedEntity.validUntil;
+            issues.push({
+                field: 'DXCC',
+                code: 'outside-window',
+                logged: loggedText,
+                expected: successor ? String(successor.entityCode) : callCode,
+                message: ended
+                    ? `${entityLabel(loggedEntity)} is deleted; contacts after ${loggedEntity.validUntil} do not count for it` +
+                        (successor ? ` (they count as ${entityLabel(successor)})` : '')
+                    : `${entityLabel(loggedEntity)} is not valid on ${date}`
+            });
+            if (!expected && successor) expected = successor;
+        } else if (credit && credit.entities.length > 0 && !credit.entities.some(entity => entity.entityCode === loggedCode)) {
+            issues.push({
+                field: 'DXCC',
+                code: 'dxcc-mismatch',
+                logged: loggedText,
+                expected: callCode,
+                message: `DXCC ${loggedCode} is ${entityLabel(loggedEntity)}, but ${call} on ${date} is ` +
+                    credit.entities.map(entityLabel).join(' or ')
+            });
+            // Either the callsign or the code may be right, so the zones are not checked against one of them
+            if (!callCode) expected = null;
+        } else if (!expected) {
+            // Shared prefix or no callsign: the logged code decides
+            expected = loggedEntity;
+        }
+    }
+
+    if (!expected) {
+        return { issues, skipped: issues.length > 0 ? null : 'entity not known from CALL or DXCC' };
+    }
+
+    [checkZone(record, 'CQZ', expected.zonesCQ || [], expected), checkZone(record, 'ITUZ', expected.zonesITU || [], expected)]
+        .filter(Boolean)
+        .forEach(issue => issues.push(issue));
+
+    const continents = expected.continent.split(',');
+    const loggedContinent = String(record.CONT || '').trim().toUpperCase();
+    if (loggedContinent && !continents.includes(loggedContinent)) {
+        issues.push({
+            field: 'CONT',
+            code: 'cont-mismatch',
+            logged: String(record.CONT).trim(),
+            expected: continents.length === 1 ? continents[0] : null,
+            message: `CONT ${record.CONT} is not a continent of ${entityLabel(expected)} (${continents.join(', ')})`
+        });
+    }
+
+    return { issues, skipped: null };
+}
+
+/**
+ * Cross-check the records of an ADIF log against DXCC data
+ * Corrected records change only flagged fields whose right value is certain (one zone, one continent,
+ * an unambiguous entity); other flagged fields are left as logged.
+ *
+ * @param {Object[]} records - ADIF records from parseADIF
+ * @param {Object} dxccData - Parsed DXCC data with deleted entities and validity fields
+ * @returns {Object} Report ({total, checked, skipped, issues, corrections, corrected, warnings})
+ */
+function checkADIFLog(records, dxccData) {
+    if (!Array.isArray(records)) {
+        throw new Error('Invalid log: expected an array of ADIF records');
+    }
+
+    const checker = createCreditChecker(dxccData);
+    const byCode = new Map();
+    dxccData.entities.forEach(entity => {
+        if (entity.entityCode !== null && (!byCode.has(entity.entityCode) || entity.isCurrent)) {
+            byCode.set(entity.entityCode, entity);
+        }
+    });
+
+    const issues = [];
+    const skipped = [];
+    let corrections = 0;
+
+    const corrected = records.map((record, index) => {
+        const result = checkRecord(record, checker, byCode);
+        if (result.skipped) {
+            skipped.push({ index, call: record.CALL || '', date: record.QSO_DATE || '', reason: result.skipped });
+        }
+
+        const fixed = { ...record };
+        result.issues.forEach(issue => {
+            issues.push({ index, call: record.CALL || '', date: record.QSO_DATE || '', ...issue });
+            if (issue.expected !== null && issue.expected !== undefined) {
+                fixed[issue.field] = issue.expected;
+                corrections++;
+            }
+        });
+        return fixed;
+    });
+
+    return {
+        total: records.length,
+        checked: records.length - skipped.length,
+        skipped,
+        issues,
+        corrections,
+        corrected,
+        warnings: checker.warnings
+    };
+}
+
+export { checkADIFLog };
@@ -0,0 +1,328 @@
+/**
+ * DXCC Overlay Files
+ *
+ * Features:
+ * - Merge local corrections and supplementary data on top of parsed DXCC data, keyed by entity code
+ * - add, replace and remove entity fields; own fields (local names, QSL bureaus, remarks) go under "local.<name>"
+ * - Check the overlay against the entity definition in schema.json before anything is merged
+ * - Recompute prefixes, zonesITU and zonesCQ from replaced prefix and zone columns, and check the merged entities
+ * - Record every changed field in metadata.overlays
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { validateSchema, loadSchema } from './dxcc-schema.js';
+import { expandEntityPrefixes, expandZones } from './dxcc-prefix.js';
+
+/**
+ * Operations of an overlay entry, in the order they are applied
+ */
+const OPERATIONS = ['replace', 'add', 'remove'];
+
+/**
+ * Prefix of own fields, which are kept in the entity's "local" object
+ */
+const LOCAL_PREFIX = 'local.';
+
+/**
+ * Fields derived from another entity field, which the overlay changes instead
+ */
+const DERIVED_FIELDS = {
+    prefixes: 'prefix',
+    zonesITU: 'zoneITU',
+    zonesCQ: 'zoneCQ'
+};
+
+/**
+ * Append a property name to a JSON path
+ *
+ * @param {string} base - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Path such as $.entities["207"].replace.entity
+ */
+function childPath(base, key) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Check an overlay field name
+ *
+ * @param {string} field - Field name from the overlay
+ * @param {Object} entitySchema - Entity definition from schema.json
+ * @returns {string|null} Why the field cannot be changed, or null when it can
+ */
+function checkField(field, entitySchema) {
+    if (field.startsWith(LOCAL_PREFIX)) {
+        return field.length > LOCAL_PREFIX.length ? null : 'needs a name after "local."';
+    }
+    if (field === 'local') {
+        return 'name own fields one by one as "local.<name>"';
+    }
+    if (field === 'entityCode') {
+        return 'is the overlay key and cannot be changed';
+    }
+    if (DERIVED_FIELDS[field]) {
+        return `is derived from "${DERIVED_FIELDS[field]}"; change that instead`;
+    }
+    if (!Object.prototype.hasOwnProperty.call(entitySchema.properties, field)) {
+        return 'is not an entity field in schema.json; put own fields under "local.<name>"';
+    }
+    return null;
+}
+
+/**
+ * Validate an overlay
+ * Checks the layout of the file, and each value against the entity definition in schema.json.
+ * Whether an entry fits its entity (a field to replace must be set) is checked by applyOverlay.
+ *
+ * @param {Object} overlay - Parsed overlay file
+ * @param {Object} schema - Schema [default: the bundled schema.json]
+ * @returns {Object[]} Violations ({path, message}); empty when the overlay is valid
+ */
+function validateOverlay(overlay, schema = loadSchema()) {
+    const errors = [];
+    if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+        errors.push({ path: '$', message: 'should be an object with an "entities" object' });
+        return errors;
+    }
+    Object.keys(overlay)
+        .filter(key => !['description', 'entities'].includes(key))
+        .forEach(key => errors.push({ path: childPath('$', key), message: 'is not an overlay property (description, entities)' }));
+    if (overlay.description !== undefined && typeof overlay.description !== 'string') {
+        errors.push({ path: '$.description', message: 'should be string' });
+    }
+    if (!overlay.entities || typeof overlay.entities !== 'object' || Array.isArray(overlay.entities)) {
+        errors.push({ path: '$.entities', message: 'should be an object keyed by entity code' });
+        return errors;
+    }
+
+    const entitySchema = schema.properties.entities.items;
+    Object.keys(overlay.entities).forEach(code => {
+        const entryPath = childPath('$.entities', code);
+        const entry = overlay.entities[code];
+        if (!/^[1-9]\d*$/.test(code)) {
+            errors.push({ path: entryPath, message: 'should be keyed by an entity code (1, 2, ...)' });
+        }
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push({ path: entryPath, message: 'should be an object with add, replace or remove' });
+            return;
+        }
+        Object.keys(entry)
+            .filter(key => !OPERATIONS.includes(key))
+            .forEach(key => errors.push({ path: childPath(entryPath, key), message: 'is not an operation (add, replace, remove)' }));
+
+        const seen = new Set();
+        OPERATIONS.filter(operation => entry[operation] !== undefined).forEach(operation => {
+            const operationPath = childPath(entryPath, operation);
+            const fields = operation === 'remove' ? entry.remove : entry[operation];
+            if (operation === 'remove'
+                ? !Array.isArray(fields) || fields.some(field => typeof field !== 'string')
+                : !fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                errors.push({ path: operationPath, message: operation === 'remove' ? 'should be an array of field names' : 'should be an object of field values' });
+                return;
+            }
+
+            (operation === 'remove' ? fields : Object.keys(fields)).forEach((field, index) => {
+                const fieldPath = operation === 'remove' ? `${operationPath}[${index}]` : childPath(operationPath, field);
+                const problem = checkField(field, entitySchema);
+                if (problem) {
+                    errors.push({ path: fieldPath, message: `${JSON.stringify(field)} ${problem}` });
+                    return;
+                }
+                if (seen.has(field)) {
+                    errors.push({ path: fieldPath, message: `${JSON.stringify(field)} is changed twice in one entry` });
+                }
+                seen.add(field);
+
+                const local = field.startsWith(LOCAL_PREFIX);
+                if (operation === 'remove') {
+                    if (!local) {
+                        errors.push({ path: fieldPath, message: `${JSON.stringify(field)} is required by schema.json; use replace` });
+                    }
+                } else if (operation === 'add' && !local && entitySchema.properties[field].type !== 'array') {
+                    errors.push({ path: fieldPath, message: `${JSON.stringify(field)} is always set; use replace` });
+                } else if (!local) {
+                    validateSchema(fields[field], entitySchema.properties[field], fieldPath, errors);
+                }
+            });
+        });
+    });
+    return errors;
+}
+
+/**
+ * Apply one overlay entry to an entity
+ *
+ * @param {Object} entity - Entity from the parsed data (not changed)
+ * @param {Object} entry - Overlay entry ({replace, add, remove})
+ * @param {string} entryPath - JSON path of the entry, for problems
+ * @param {Object} notes - Notes of the data (metadata.notes), which added note keys must refer to
+ * @param {Object[]} problems - Problems found so far ({path, message}); appended to
+ * @returns {{entity: Object, changes: Object[]}} Changed copy of the entity and the changed fields ({operation, field})
+ */
+function applyEntry(entity, entry, entryPath, notes, problems) {
+    const result = { ...entity, ...(entity.local ? { local: { ...entity.local } } : {}) };
+    const changes = [];
+
+    OPERATIONS.filter(operation => entry[operation] !== undefined).forEach(operation => {
+        const operationPath = childPath(entryPath, operation);
+        const fields = operation === 'remove' ? entry.remove : Object.keys(entry[operation]);
+        fields.forEach((field, index) => {
+            const fieldPath = operation === 'remove' ? `${operationPath}[${index}]` : childPath(operationPath, field);
+            const value = operation === 'remove' ? undefined : entry[operation][field];
+
+            if (field.startsWith(LOCAL_PREFIX)) {
+                const name = field.slice(LOCAL_PREFIX.length);
+                const isSet = Boolean(result.local) && Object.prototype.hasOwnProperty.call(result.local, name);
+                if (operation === 'add' && isSet) {
+                    problems.push({ path: fieldPath, message: `is already set for ${entity.entity}; use replace` });
+                    return;
+                }
+                if (operation !== 'add' && !isSet) {
+                    problems.push({ path: fieldPath, message: `is not set for ${entity.entity}${operation === 'replace' ? '; use add' : ''}` });
+                    return;
+                }
+                if (operation === 'remove') {
+                    delete result.local[name];
+                    if (Object.keys(result.local).length === 0) {
+                        delete result.local;
+                    }
+                } else {
+                    result.local = { ...(result.local || {}), [name]: value };
+                }
+                changes.push({ operation, field });
+                return;
+            }
+
+            if (field === 'notes') {
+                const unknown = value.filter(note => !Object.prototype.hasOwnProperty.call(notes, note));
+                if (unknown.length > 0) {
+                    problems.push({ path: fieldPath, message: `refers to notes that are not in metadata.notes: ${unknown.join(', ')}` });
+                    return;
+                }
+            }
+            if (operation === 'add') {
+                // Array fields: items not yet listed are appended
+                const added = value.filter(item => !result[field].some(existing => JSON.stringify(existing) === JSON.stringify(item)));
+                if (added.length === 0) return;
+                result[field] = [...result[field], ...added];
+            } else {
+                result[field] = value;
+            }
+            changes.push({ operation, field });
+        });
+    });
+
+    return { entity: result, changes };
+}
+
+/**
+ * Recompute the derived fields of a merged entity and check it
+ * Zone columns are expanded with the zone notes of the data; the merged entity must still fit schema.json,
+ * so a CQ zone 99 or a zone letter without a zone note is a problem.
+ *
+ * @param {Object} entity - Merged entity (changed in place)
+ * @param {string[]} prefixes - Prefixes expanded from the entity's prefix
+ * @param {Object} zoneNotes - Zone notes of the data (metadata.zoneNotes)
+ * @param {Object} entitySchema - Entity definition from schema.json
+ * @param {string} entryPath - JSON path of the overlay entry, for problems
+ * @param {Object[]} problems - Problems found so far ({path, message}); appended to
+ */
+function deriveFields(entity, prefixes, zoneNotes, entitySchema, entryPath, problems) {
+    entity.prefixes = prefixes;
+    if (prefixes.length === 0) {
+        problems.push({ path: entryPath, message: `prefix ${JSON.stringify(entity.prefix)} of ${entity.entity} covers no prefix` });
+    }
+    ['zoneITU', 'zoneCQ'].forEach(field => {
+        const letters = (entity[field].match(/\(([A-Z])\)/g) || []).map(letter => letter.slice(1, -1));
+        letters
+            .filter(letter => !Object.prototype.hasOwnProperty.call(zoneNotes, letter))
+            .forEach(letter => problems.push({ path: entryPath, message: `${field} of ${entity.entity} refers to zone note (${letter}), which is not in metadata.zoneNotes` }));
+        entity[field === 'zoneITU' ? 'zonesITU' : 'zonesCQ'] = expandZones(entity[field], zoneNotes);
+    });
+
+    const errors = [];
+    validateSchema(entity, entitySchema, entryPath, errors);
+    errors.forEach(error => problems.push({ path: error.path, message: `${error.message} in the merged ${entity.entity}` }));
+}
+
+/**
+ * Merge an overlay on top of parsed DXCC data
+ * Entries are keyed by entity code and applied in the order replace, add, remove:
+ * - replace: set a field (own fields must already be set)
+ * - add: append items to an array field, or set an own field that is not set yet
+ * - remove: delete an own field; the fields of schema.json are required and can only be replaced
+ * Derived fields are recomputed: replacing prefix expands prefixes again, zoneITU and zoneCQ give zonesITU
+ * and zonesCQ. Each changed entity must still fit schema.json afterwards.
+ * Entries for entity codes not in the data (left out by the filter, or unknown) are listed in unmatched.
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData (not changed)
+ * @param {Object} overlay - Overlay ({description, entities: {<entityCode>: {replace, add, remove}}})
+ * @param {Object} options - Merge options
+ * @param {string} options.sourceFile - Name of the overlay file, recorded in metadata.overlays
+ * @param {string} options.sha256 - SHA-256 of the overlay file, recorded in metadata.overlays
+ * @returns {{data: Object, changes: Object[], unmatched: number[]}} Merged data, changed fields
+ *     ({entityCode, entity, operation, field}) and entity codes of the overlay not found in the data
+ * @throws {Error} When the overlay is invalid or an entry does not fit its entity
+ */
+function applyOverlay(dxccData, overlay, options = {}) {
+    if (!dxccData || !dxccData.metadata || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing metadata or entities array');
+    }
+    const schema = loadSchema();
+    const violations = validateOverlay(overlay, schema);
+    if (violations.length > 0) {
+        throw new Error(`Invalid overlay: ${violations.map(violation => `${violation.path} ${violation.message}`).join('; ')}`);
+    }
+
+    const notes = dxccData.metadata.notes || {};
+    const zoneNotes = dxccData.metadata.zoneNotes || {};
+    const problems = [];
+    const changes = [];
+    const matched = new Set();
+    const changed = new Map();
+    const entities = dxccData.entities.map((entity, index) => {
+        const code = String(entity.entityCode);
+        if (!Object.prototype.hasOwnProperty.call(overlay.entities, code)) return entity;
+
+        matched.add(code);
+        const applied = applyEntry(entity, overlay.entities[code], childPath('$.entities', code), notes, problems);
+        applied.changes.forEach(change => changes.push({
+            entityCode: entity.entityCode,
+            entity: applied.entity.entity,
+            operation: change.operation,
+            field: change.field
+        }));
+        if (applied.changes.length > 0) changed.set(index, childPath('$.entities', code));
+        return applied.entity;
+    });
+
+    // Prefixes are expanded against the merged list, so call areas other entities name stay left out
+    const prefixes = changed.size > 0 ? expandEntityPrefixes(entities) : [];
+    changed.forEach((entryPath, index) => {
+        deriveFields(entities[index], prefixes[index], zoneNotes, schema.properties.entities.items, entryPath, problems);
+    });
+    if (problems.length > 0) {
+        throw new Error(`Overlay does not fit the data: ${problems.map(problem => `${problem.path} ${problem.message}`).join('; ')}`);
+    }
+
+    const record = {
+        sourceFile: options.sourceFile || null,
+        sha256: options.sha256 || null,
+        description: overlay.description || null,
+        changes
+    };
+    return {
+        data: {
+            ...dxccData,
+            metadata: { ...dxccData.metadata, overlays: [...(dxccData.metadata.overlays || []), record] },
+            entities
+        },
+        changes,
+        unmatched: Object.keys(overlay.entities).filter(code => !matched.has(code)).map(code => parseInt(code))
+    };
+}
+
+export { applyOverlay, validateOverlay };
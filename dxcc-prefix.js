@@ -0,0 +1,292 @@
+/**
+ * DXCC Prefix Expression Expander
+ *
+ * Features:
+ * - Expand ARRL prefix expressions such as "3B6,7", "7T-7Y", "5B,C4,P3" and "UA-UI1-7"
+ * - Keep call-suffix forms such as "4U_ITU" and "FT/G" as single patterns
+ * - Carry call areas across ranges ("UA-UI8-0,RA-RZ") and leave out call areas another entity names ("UA2")
+ * - Expand zone columns such as "14,16", "06-08" and "(A)" into zone numbers
+ * - Compile expanded prefixes into callsign matchers
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DIGITS = '0123456789';
+
+/**
+ * Get the character set a prefix position belongs to
+ *
+ * @param {string} char - Single prefix character
+ * @returns {string} Character set containing the character
+ */
+function charsetOf(char) {
+    return DIGITS.includes(char) ? DIGITS : LETTERS;
+}
+
+/**
+ * List the characters from one prefix character to another
+ * Digit ranges wrap through 9, so "8-0" gives 8, 9, 0
+ *
+ * @param {string} from - First character
+ * @param {string} to - Last character
+ * @returns {string[]} Characters in range order
+ */
+function charRange(from, to) {
+    const charset = charsetOf(from);
+    if (!charset.includes(to)) return [from, to];
+
+    const result = [from];
+    let index = charset.indexOf(from);
+    while (charset[index] !== to) {
+        index = (index + 1) % charset.length;
+        result.push(charset[index]);
+    }
+    return result;
+}
+
+/**
+ * Expand a range between two prefixes of equal length
+ * Every position varies independently, so "EA6-EH6" gives EA6, EB6 ... EH6
+ *
+ * @param {string} start - First prefix of the range
+ * @param {string} end - Last prefix of the range
+ * @returns {string[]} All prefixes from start to end
+ */
+function expandRange(start, end) {
+    // "KA2AA-KA9ZZ" style ranges cover whole trailing positions, which is the same as "KA2-KA9"
+    while (start.length > 1 && start.slice(-1) === 'A' && end.slice(-1) === 'Z' &&
+           start.slice(0, -1) !== end.slice(0, -1)) {
+        start = start.slice(0, -1);
+        end = end.slice(0, -1);
+    }
+
+    let result = [''];
+    for (let i = 0; i < start.length; i++) {
+        const chars = charRange(start[i], end[i]);
+        result = result.flatMap(head => chars.map(char => head + char));
+    }
+    return result;
+}
+
+/**
+ * Expand a single hyphenated prefix item
+ * Handles "7T-7Y", "Y2-9", "EA6-EH6", "PP0-PY0F" and "UA-UI1-7"
+ *
+ * @param {string} item - Prefix item containing at least one hyphen
+ * @returns {string[]} Expanded prefixes
+ */
+function expandHyphenated(item) {
+    const parts = item.split('-');
+    let heads = [''];
+    let start = parts[0];
+
+    for (let i = 1; i < parts.length; i++) {
+        let end = parts[i];
+        let tail = '';
+
+        if (!start || !end) {
+            return [item];
+        }
+
+        if (end.length < start.length) {
+            // Shortened end such as "Y2-9" or "PK1-3"
+            end = start.slice(0, start.length - end.length) + end;
+        } else if (end.length > start.length) {
+            // Longer end carries the start of the next segment, e.g. "UI1" in "UA-UI1-7"
+            tail = end.slice(start.length);
+            end = end.slice(0, start.length);
+        }
+
+        const range = expandRange(start, end);
+        heads = heads.flatMap(head => range.map(value => head + value));
+        start = tail;
+    }
+
+    if (start) {
+        heads = heads.map(head => head + start);
+    }
+
+    return heads;
+}
+
+/**
+ * Expand a letter range over call areas
+ * A range spanning a whole block ("RA-RZ") also gives the block letter itself, as R8ABC is in call area 8 of R.
+ *
+ * @param {string} start - First prefix of the letter range
+ * @param {string} end - Last prefix of the letter range
+ * @param {string[]} callAreas - Call area digits
+ * @returns {string[]} Prefixes with a call area digit
+ */
+function expandCallAreas(start, end, callAreas) {
+    const blocks = expandRange(start, end);
+    if (start.length > 1 && start.slice(0, -1) === end.slice(0, -1) && start.slice(-1) === 'A' && end.slice(-1) === 'Z') {
+        blocks.push(start.slice(0, -1));
+    }
+    return blocks.flatMap(block => callAreas.map(area => block + area));
+}
+
+/**
+ * Expand a DXCC prefix expression into every prefix it covers
+ * Note markers (*, #, ^, @, &) and "(n)" references are removed first.
+ * Single-character items reuse the previous prefix ("3B6,7" -> 3B6, 3B7; "VS9A,P,S" -> VS9A, VS9P, VS9S).
+ * Call areas of a letter range ("UA-UI8-0") carry over to the letter ranges after it ("RA-RZ" -> RA8 ... RZ0, R8, R9, R0).
+ * Call-suffix forms ("4U_ITU", "FT/G") are kept as one pattern; see compilePrefixPattern.
+ *
+ * @param {string} prefix - Raw or cleaned prefix expression
+ * @param {Object} options - Expansion options
+ * @param {string[]} options.reserved - Prefixes other entities name; left out of call-area ranges
+ *     ("UA-UI1-7" gives no UA2 when Kaliningrad lists "UA2")
+ * @returns {string[]} Expanded prefix list without duplicates
+ */
+function expandPrefix(prefix, options = {}) {
+    if (!prefix) return [];
+    const reserved = new Set(options.reserved || []);
+
+    const cleaned = prefix
+        .toUpperCase()
+        .replace(/\([^)]*\)/g, '')
+        .replace(/[\*\^\#@&\s]/g, '');
+
+    const expanded = [];
+    let previous = null;
+    let callAreas = null;
+
+    cleaned.split(',').forEach(item => {
+        if (!item) return;
+
+        // "UA-UI1-7" sets the call areas, a following "RA-RZ" reuses them
+        const areaRange = item.match(/^([A-Z]+)-([A-Z]+)(\d)-(\d)$/);
+        const letterRange = item.match(/^([A-Z]+)-([A-Z]+)$/);
+        if (areaRange && areaRange[1].length === areaRange[2].length) {
+            callAreas = charRange(areaRange[3], areaRange[4]);
+        } else if (!letterRange || letterRange[1].length !== letterRange[2].length) {
+            callAreas = null;
+        }
+        if (callAreas) {
+            const [, start, end] = areaRange || letterRange;
+            const range = expandCallAreas(start, end, callAreas).filter(value => !reserved.has(value));
+            expanded.push(...range);
+            previous = range[range.length - 1] || previous;
+            return;
+        }
+
+        // "CE9/KC4" lists two prefixes, "FT/G" and "R1/F" qualify the call suffix
+        const slashParts = item.split('/');
+        if (slashParts.length === 2 && slashParts[0].length > 1 && slashParts[1].length > 1) {
+            slashParts.forEach(part => expanded.push(...(part.includes('-') ? expandHyphenated(part) : [part])));
+            previous = slashParts[1];
+            return;
+        }
+
+        if (item.length === 1 && previous && previous.length > 1) {
+            const last = previous.slice(-1);
+            const beforeLast = previous.slice(-2, -1);
+            const isDigitShorthand = DIGITS.includes(item) && DIGITS.includes(last);
+            const isSuffixShorthand = LETTERS.includes(item) && LETTERS.includes(last) &&
+                (DIGITS.includes(beforeLast) || beforeLast === '/');
+
+            if (isDigitShorthand || isSuffixShorthand) {
+                previous = previous.slice(0, -1) + item;
+                expanded.push(previous);
+                return;
+            }
+        }
+
+        if (item.includes('-')) {
+            const range = expandHyphenated(item);
+            expanded.push(...range);
+            previous = range[range.length - 1];
+        } else {
+            expanded.push(item);
+            previous = item;
+        }
+    });
+
+    return [...new Set(expanded)];
+}
+
+/**
+ * Expand zone token
+ * Convert a zone column value into a sorted list of zone numbers,
+ * resolving zone note letters such as "(A)" and ranges such as "69-74"
+ *
+ * @param {string} zoneToken - Zone column value, e.g. "14,16", "06-08" or "(A)"
+ * @param {Object} zoneNotes - Zone letter to zone list mapping
+ * @returns {number[]} Zone numbers
+ */
+function expandZones(zoneToken, zoneNotes) {
+    const zones = new Set();
+
+    // Replace zone note letters with their zone lists first
+    const resolved = zoneToken.replace(/\(([A-Z])\)/g, (match, letter) => zoneNotes[letter] || '');
+
+    resolved.split(',').forEach(part => {
+        const rangeMatch = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!rangeMatch) return;
+
+        const start = parseInt(rangeMatch[1]);
+        const end = rangeMatch[2] ? parseInt(rangeMatch[2]) : start;
+        for (let zone = start; zone <= end; zone++) {
+            zones.add(zone);
+        }
+    });
+
+    return [...zones].sort((a, b) => a - b);
+}
+
+/**
+ * Compile an expanded prefix into a callsign matcher
+ * "4U_ITU" matches 4U1ITU, "SV/A" matches SV2A and SV2A/P: the base, its call-area digit, then the suffix as
+ * the whole rest of the call. SV1ABC is not Mount Athos, and "R1/F", whose base holds the digit, matches R1F only.
+ * Call areas other entities name are left out, so SV5A stays with Dodecanese "SV5".
+ *
+ * @param {string} pattern - Expanded prefix from expandPrefix
+ * @param {Object} options - Compile options
+ * @param {string[]} options.reserved - Prefixes other entities name
+ * @returns {{pattern: string, weight: number, test: function(string): boolean}} Matcher
+ */
+function compilePrefixPattern(pattern, options = {}) {
+    const suffixMatch = pattern.match(/^([A-Z0-9]+)[_\/]([A-Z0-9]+)$/);
+
+    if (suffixMatch) {
+        const [, base, suffix] = suffixMatch;
+        const reserved = new Set(options.reserved || []);
+        const digits = DIGITS.split('').filter(digit => !reserved.has(base + digit)).join('');
+        const callArea = /\d$/.test(base) ? '' : `[${digits}]`;
+        const regex = new RegExp(`^${base}${callArea}${suffix}(?:/|$)`);
+        return {
+            pattern,
+            weight: base.length + suffix.length + 1,
+            test: callsign => regex.test(callsign)
+        };
+    }
+
+    return {
+        pattern,
+        weight: pattern.length,
+        test: callsign => callsign.startsWith(pattern)
+    };
+}
+
+/**
+ * Expand the prefix expressions of the entities of one list
+ * Each entity's call-area ranges leave out the prefixes the other entities of its section (current or
+ * deleted) name, so European Russia "UA-UI1-7,RA-RZ" gives UA2 and RA2 to Kaliningrad "UA2,RA2".
+ *
+ * @param {Object[]} entities - Entities with prefix and isCurrent
+ * @returns {string[][]} Expanded prefixes of each entity, in entity order
+ */
+function expandEntityPrefixes(entities) {
+    const plain = entities.map(entity => expandPrefix(entity.prefix));
+    return entities.map((entity, index) => {
+        const reserved = plain.filter((prefixes, other) => other !== index &&
+            entities[other].isCurrent === entity.isCurrent).flat();
+        return expandPrefix(entity.prefix, { reserved });
+    });
+}
+
+export { expandPrefix, expandEntityPrefixes, expandZones, compilePrefixPattern };
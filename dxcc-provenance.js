@@ -0,0 +1,93 @@
+/**
+ * DXCC Build Provenance
+ *
+ * Features:
+ * - Read the converter name and version from package.json
+ * - Hash the source text (SHA-256) so generated data can be traced back to it
+ * - Resolve the generatedAt timestamp: the clock, a given ISO date or the edition date of the list,
+ *   so two runs on the same input give byte-identical output
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Name, version and author of the converter, from package.json
+ */
+const PACKAGE = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf-8'));
+const CONVERTER = {
+    name: PACKAGE.name,
+    version: PACKAGE.version,
+    author: typeof PACKAGE.author === 'string' ? PACKAGE.author : PACKAGE.author.name
+};
+
+/**
+ * Month names as written in edition lines
+ */
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Compute the SHA-256 of a text or buffer
+ * Strings are hashed as UTF-8; buffers as they are, so a file hash matches `sha256sum`.
+ *
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} Hex digest
+ */
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Turn an edition into a timestamp
+ * "February 2022" gives the first day of the month, a bare year ("1995") the first day of the year.
+ *
+ * @param {string} edition - Edition text
+ * @returns {string|null} ISO timestamp (UTC midnight), or null when the edition has no year
+ */
+function editionTimestamp(edition) {
+    const match = String(edition || '').match(/(?:([A-Za-z]+)\s+)?((?:19|20)\d{2})/);
+    if (!match) return null;
+
+    const month = match[1] ? MONTHS.indexOf(match[1].toLowerCase()) : -1;
+    return new Date(Date.UTC(parseInt(match[2]), Math.max(month, 0), 1)).toISOString();
+}
+
+/**
+ * Resolve the generatedAt timestamp
+ *
+ * @param {string|undefined} timestamp - 'now' [default], 'edition' or an ISO 8601 date
+ * @param {string} edition - Edition of the parsed list, used for 'edition'
+ * @returns {{generatedAt: string, source: string}} Timestamp and where it came from ('clock', 'edition' or 'option')
+ */
+function resolveTimestamp(timestamp, edition) {
+    if (timestamp === undefined || timestamp === null || timestamp === 'now') {
+        return { generatedAt: new Date().toISOString(), source: 'clock' };
+    }
+    if (timestamp === 'edition') {
+        const generatedAt = editionTimestamp(edition);
+        if (!generatedAt) {
+            throw new Error(`Cannot take the timestamp from edition '${edition}'; pass an explicit timestamp`);
+        }
+        return { generatedAt, source: 'edition' };
+    }
+
+    const parsed = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/.test(timestamp)
+        ? new Date(timestamp)
+        : null;
+    if (!parsed || isNaN(parsed.getTime())) {
+        throw new Error(`Invalid timestamp: '${timestamp}' (expected an ISO 8601 date such as 2022-02-01T00:00:00Z)`);
+    }
+    return { generatedAt: parsed.toISOString(), source: 'option' };
+}
+
+export { CONVERTER, sha256, editionTimestamp, resolveTimestamp };
@@ -0,0 +1,205 @@
+/**
+ * DXCC Callsign Resolver
+ *
+ * Features:
+ * - Resolve a callsign to its DXCC entity using createDXCCData output
+ * - Handle portable forms such as "VP2E/K1ABC", "K1ABC/KH6" and "K1ABC/4"
+ * - Return every candidate when several entities share a prefix (e.g. 3D2)
+ * - Follow prefix cross references such as "AH = KH" when the data carries aliases
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import { expandPrefix, compilePrefixPattern } from './dxcc-prefix.js';
+import { isUnconditionalAlias, rewriteWithAlias } from './dxcc-aliases.js';
+
+/**
+ * Portable designators that do not change the DXCC entity
+ */
+const PORTABLE_MODIFIERS = ['P', 'M', 'A', 'QRP', 'LH'];
+
+/**
+ * Designators for operation outside any DXCC entity
+ */
+const NON_ENTITY_MODIFIERS = ['MM', 'AM'];
+
+/**
+ * Pick the part of a callsign that identifies the operating location
+ *
+ * @param {string} callsign - Callsign as logged
+ * @returns {Object} Location prefix and flags
+ */
+function parseCallsign(callsign) {
+    const normalized = String(callsign || '').trim().toUpperCase();
+    const parts = normalized.split('/').filter(part => part.length > 0);
+
+    if (parts.some(part => NON_ENTITY_MODIFIERS.includes(part))) {
+        return { callsign: normalized, lookup: null, nonEntity: true };
+    }
+
+    const meaningful = parts.filter(part => !PORTABLE_MODIFIERS.includes(part));
+
+    if (meaningful.length === 0) {
+        return { callsign: normalized, lookup: null, nonEntity: false };
+    }
+
+    if (meaningful.length === 1) {
+        return { callsign: normalized, lookup: meaningful[0], nonEntity: false };
+    }
+
+    const [first, second] = meaningful;
+
+    // "K1ABC/4" moves the station to another call area of the same prefix
+    const areaPart = [first, second].find(part => /^\d$/.test(part));
+    if (areaPart) {
+        const homeCall = areaPart === first ? second : first;
+        return {
+            callsign: normalized,
+            lookup: homeCall.replace(/^(\d?[A-Z]+)\d+/, `$1${areaPart}`),
+            nonEntity: false
+        };
+    }
+
+    // "VP2E/K1ABC" and "K1ABC/KH6": the shorter part is the location prefix
+    return {
+        callsign: normalized,
+        lookup: second.length < first.length ? second : first,
+        nonEntity: false
+    };
+}
+
+/**
+ * Create a callsign resolver
+ * Prefix expressions are expanded once, so the resolver can be reused for many lookups.
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @param {Object} options - Resolver options
+ * @param {boolean} options.includeDeleted - Also match deleted entities (default: false)
+ * @param {boolean} options.aliases - Follow the prefix cross references in dxccData.aliases (default: true)
+ * @returns {{resolve: function(string): Object, candidates: function(string, Object=): Object}} Resolver instance
+ */
+function createResolver(dxccData, options = {}) {
+    const includeDeleted = options.includeDeleted === true;
+
+    if (!dxccData || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing entities array');
+    }
+
+    const matchers = [];
+    const included = dxccData.entities.filter(entity => includeDeleted || entity.isCurrent);
+    // Older JSON files have no expanded "prefixes" field
+    const expanded = included.map(entity => Array.isArray(entity.prefixes) ? entity.prefixes : expandPrefix(entity.prefix));
+    const reserved = expanded.flat();
+    included.forEach((entity, index) => {
+        expanded[index].forEach(prefix => {
+            matchers.push({ entity, ...compilePrefixPattern(prefix, { reserved }) });
+        });
+    });
+
+    const aliases = options.aliases !== false && Array.isArray(dxccData.aliases) ? dxccData.aliases : [];
+
+    /**
+     * Match a location prefix against the entity prefixes, longest prefix first
+     *
+     * @param {string} lookup - Location part of the callsign
+     * @returns {Object[]} Matches ({entity, pattern, weight})
+     */
+    function matchLookup(lookup) {
+        return matchers
+            .filter(matcher => matcher.test(lookup))
+            .sort((a, b) => b.weight - a.weight)
+            .map(({ entity, pattern, weight }) => ({ entity, pattern, weight }));
+    }
+
+    /**
+     * List every entity whose prefix matches a callsign, longest prefix first
+     * Used when the best match is not enough, e.g. to fall back from a deleted entity by QSO date.
+     * Only the longest matching alias prefix is followed, so "CR3 (before 1974) = J5" wins over "CQ-CS = CT".
+     * An alias match is weighed by the part of the original callsign it covers and only listed when it
+     * beats the direct matches, so AH6 (KH6, Hawaii) wins over AA-AK (United States); a former prefix
+     * ("UC (before 1991) = EU") always wins, as the entity list shows today's allocation.
+     *
+     * @param {string} callsign - Callsign, optionally with portable designators
+     * @param {Object} options - Candidate options
+     * @param {function(Object): boolean} options.aliasFilter - Aliases to follow (default: those without an end date or location)
+     * @returns {Object} Parsed callsign and matches ({entity, pattern, weight, alias})
+     */
+    function candidates(callsign, options = {}) {
+        const parsed = parseCallsign(callsign);
+        if (!parsed.lookup) {
+            return { callsign: parsed.callsign, lookup: parsed.lookup, nonEntity: parsed.nonEntity, matches: [] };
+        }
+
+        const aliasFilter = options.aliasFilter || isUnconditionalAlias;
+        const direct = matchLookup(parsed.lookup).map(match => ({ ...match, alias: null }));
+        const directWeight = direct.length > 0 ? direct[0].weight : 0;
+
+        let aliasMatches = [];
+        aliases.filter(aliasFilter).forEach(alias => {
+            rewriteWithAlias(alias, parsed.lookup).forEach(rewrite => {
+                // A rewritten callsign counts for its best match only, like a direct lookup
+                const rewritten = matchLookup(rewrite.lookup);
+                rewritten
+                    .filter(match => match.weight === rewritten[0].weight)
+                    .forEach(match => {
+                        const weight = rewrite.prefix.length + Math.max(0, match.weight - rewrite.replacement.length);
+                        aliasMatches.push({ ...match, weight, alias, aliasPrefix: rewrite.prefix });
+                    });
+            });
+        });
+
+        const longestAlias = Math.max(0, ...aliasMatches.map(match => match.aliasPrefix.length));
+        aliasMatches = aliasMatches
+            .filter(match => match.aliasPrefix.length === longestAlias)
+            .map(({ entity, pattern, weight, alias }) => ({
+                entity,
+                pattern,
+                weight: alias.validUntil !== null ? Math.max(weight, directWeight + 1) : weight,
+                alias
+            }))
+            .filter(match => match.weight > directWeight);
+
+        const matches = [...aliasMatches, ...direct].sort((a, b) => b.weight - a.weight);
+        return { callsign: parsed.callsign, lookup: parsed.lookup, nonEntity: parsed.nonEntity, matches };
+    }
+
+    /**
+     * Resolve a callsign to its DXCC entity
+     *
+     * @param {string} callsign - Callsign, optionally with portable designators
+     * @returns {Object} Lookup result with matching entities and the alias followed, if any
+     */
+    function resolve(callsign) {
+        const { callsign: normalized, lookup, matches } = candidates(callsign);
+        const best = matches.filter(match => match.weight === matches[0].weight);
+        const entities = [...new Set(best.map(match => match.entity))];
+
+        return {
+            callsign: normalized,
+            lookup: lookup,
+            matchedPrefix: best.length > 0 ? best[0].pattern : null,
+            entities: entities,
+            ambiguous: entities.length > 1,
+            alias: best.length > 0 ? best[0].alias : null
+        };
+    }
+
+    return { resolve, candidates };
+}
+
+/**
+ * Resolve a single callsign
+ * Convenience wrapper around createResolver for one-off lookups.
+ *
+ * @param {string} callsign - Callsign to resolve
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @param {Object} options - Resolver options (see createResolver)
+ * @returns {Object} Lookup result with matching entities
+ */
+function resolveCallsign(callsign, dxccData, options = {}) {
+    return createResolver(dxccData, options).resolve(callsign);
+}
+
+export { createResolver, resolveCallsign, parseCallsign };
@@ -0,0 +1,216 @@
+/**
+ * DXCC JSON Schema Validation
+ *
+ * Features:
+ * - Validate generated JSON against schema.json without extra dependencies
+ * - Report each violation with its JSON path ($.entities[12].zonesCQ[0])
+ * - Cover the JSON Schema (draft-07) keywords schema.json uses; other keywords are rejected
+ *   so that a schema change cannot be skipped silently
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Path of the bundled schema
+ */
+const SCHEMA_FILE = path.join(__dirname, 'schema.json');
+
+/**
+ * Keywords that only annotate a schema and are not checked
+ */
+const ANNOTATION_KEYWORDS = ['$schema', '$id', 'title', 'description'];
+
+/**
+ * Keywords checked by validateSchema
+ */
+const SUPPORTED_KEYWORDS = [
+    'type', 'enum', 'const', 'pattern', 'format', 'minimum', 'maximum',
+    'required', 'properties', 'patternProperties', 'additionalProperties',
+    'items', 'minItems', 'uniqueItems'
+];
+
+/**
+ * Checks for the "format" keyword
+ */
+const FORMATS = {
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+        !isNaN(Date.parse(value))
+};
+
+/**
+ * Load the bundled schema.json
+ *
+ * @param {string} schemaFile - Schema file [default: schema.json next to this module]
+ * @returns {Object} Parsed schema
+ */
+function loadSchema(schemaFile = SCHEMA_FILE) {
+    return JSON.parse(fs.readFileSync(schemaFile, 'utf-8'));
+}
+
+/**
+ * Append a property name to a JSON path
+ *
+ * @param {string} base - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Path such as $.metadata.edition or $.statistics.continents["AS,AF"]
+ */
+function childPath(base, key) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Get the JSON Schema type of a value
+ *
+ * @param {*} value - JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Compare two JSON values
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize the same
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validate a value against a schema node
+ * Keywords for another type are skipped, as in JSON Schema: "pattern" only applies to strings.
+ *
+ * @param {*} value - Value to check
+ * @param {Object|boolean} schema - Schema node
+ * @param {string} jsonPath - JSON path of the value
+ * @param {Object[]} errors - Violations found so far ({path, message}); appended to
+ * @returns {Object[]} The errors array
+ */
+function validateSchema(value, schema, jsonPath, errors) {
+    if (schema === true) return errors;
+    if (schema === false) {
+        errors.push({ path: jsonPath, message: 'is not allowed' });
+        return errors;
+    }
+
+    const unknown = Object.keys(schema).filter(keyword =>
+        !ANNOTATION_KEYWORDS.includes(keyword) && !SUPPORTED_KEYWORDS.includes(keyword));
+    if (unknown.length > 0) {
+        throw new Error(`Unsupported schema keyword${unknown.length === 1 ? '' : 's'} at ${jsonPath}: ${unknown.join(', ')}`);
+    }
+
+    const type = typeOf(value);
+    if (schema.type !== undefined) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            errors.push({ path: jsonPath, message: `should be ${allowed.join(' or ')}, found ${type}` });
+            return errors;
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(option => sameValue(option, value))) {
+        errors.push({ path: jsonPath, message: `should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, found ${JSON.stringify(value)}` });
+    }
+    if (schema.const !== undefined && !sameValue(schema.const, value)) {
+        errors.push({ path: jsonPath, message: `should be ${JSON.stringify(schema.const)}, found ${JSON.stringify(value)}` });
+    }
+
+    if (type === 'string') {
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: jsonPath, message: `${JSON.stringify(value)} does not match ${schema.pattern}` });
+        }
+        if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            errors.push({ path: jsonPath, message: `${JSON.stringify(value)} is not a valid ${schema.format}` });
+        }
+    }
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: jsonPath, message: `${value} is less than ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: jsonPath, message: `${value} is greater than ${schema.maximum}` });
+        }
+    }
+
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: jsonPath, message: `should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, found ${value.length}` });
+        }
+        if (schema.uniqueItems === true) {
+            const seen = new Set();
+            value.forEach((item, index) => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) {
+                    errors.push({ path: `${jsonPath}[${index}]`, message: `duplicates an earlier item (${key})` });
+                }
+                seen.add(key);
+            });
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, index) => validateSchema(item, schema.items, `${jsonPath}[${index}]`, errors));
+        }
+    }
+
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                errors.push({ path: childPath(jsonPath, key), message: 'is required' });
+            }
+        });
+
+        const properties = schema.properties || {};
+        const patterns = Object.keys(schema.patternProperties || {}).map(pattern => [new RegExp(pattern), schema.patternProperties[pattern]]);
+        Object.keys(value).forEach(key => {
+            const keyPath = childPath(jsonPath, key);
+            let matched = false;
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                matched = true;
+                validateSchema(value[key], properties[key], keyPath, errors);
+            }
+            patterns.forEach(([pattern, propertySchema]) => {
+                if (pattern.test(key)) {
+                    matched = true;
+                    validateSchema(value[key], propertySchema, keyPath, errors);
+                }
+            });
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: keyPath, message: 'is not declared in the schema' });
+                } else {
+                    validateSchema(value[key], schema.additionalProperties, keyPath, errors);
+                }
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate DXCC data against schema.json
+ *
+ * @param {Object} dxccData - Parsed DXCC data, as generated or read from a JSON file
+ * @param {Object} schema - Schema [default: the bundled schema.json]
+ * @returns {Object[]} Violations ({path, message}); empty when the data is valid
+ */
+function validateDXCCData(dxccData, schema = loadSchema()) {
+    return validateSchema(dxccData, schema, '$', []);
+}
+
+export { validateDXCCData, validateSchema, loadSchema };
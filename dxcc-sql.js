@@ -0,0 +1,197 @@
+/**
+ * DXCC SQL Export
+ *
+ * Features:
+ * - Write a SQL script that creates normalized tables and inserts a parsed edition
+ * - Tables: continents, entities, entity_continents, entity_zones, prefixes, notes, entity_notes, zone_notes
+ * - Plain SQL accepted by both SQLite (3.23 or later) and PostgreSQL
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+/**
+ * Table definitions, in creation order; tables are dropped in reverse order
+ */
+const TABLES = [
+    ['continents', [
+        'code TEXT PRIMARY KEY',
+        'name TEXT NOT NULL'
+    ]],
+    ['notes', [
+        'note_key TEXT PRIMARY KEY',
+        'note_text TEXT NOT NULL'
+    ]],
+    ['zone_notes', [
+        'letter TEXT PRIMARY KEY',
+        'zones TEXT NOT NULL'
+    ]],
+    ['entities', [
+        'id INTEGER PRIMARY KEY',
+        'entity_code INTEGER',
+        'name TEXT NOT NULL',
+        'prefix TEXT NOT NULL',
+        'zone_itu TEXT NOT NULL',
+        'zone_cq TEXT NOT NULL',
+        'is_current BOOLEAN NOT NULL',
+        'valid_from TEXT',
+        'valid_until TEXT'
+    ]],
+    ['entity_continents', [
+        'entity_id INTEGER NOT NULL REFERENCES entities (id)',
+        'continent_code TEXT NOT NULL REFERENCES continents (code)',
+        'PRIMARY KEY (entity_id, continent_code)'
+    ]],
+    ['entity_zones', [
+        'entity_id INTEGER NOT NULL REFERENCES entities (id)',
+        'zone_type TEXT NOT NULL CHECK (zone_type IN (\'ITU\', \'CQ\'))',
+        'zone INTEGER NOT NULL',
+        'PRIMARY KEY (entity_id, zone_type, zone)'
+    ]],
+    ['prefixes', [
+        'entity_id INTEGER NOT NULL REFERENCES entities (id)',
+        'prefix TEXT NOT NULL',
+        'PRIMARY KEY (entity_id, prefix)'
+    ]],
+    ['entity_notes', [
+        'entity_id INTEGER NOT NULL REFERENCES entities (id)',
+        'note_key TEXT NOT NULL REFERENCES notes (note_key)',
+        'PRIMARY KEY (entity_id, note_key)'
+    ]]
+];
+
+/**
+ * Indexes created after the tables
+ */
+const INDEXES = [
+    'CREATE INDEX idx_entities_entity_code ON entities (entity_code);',
+    'CREATE INDEX idx_prefixes_prefix ON prefixes (prefix);'
+];
+
+/**
+ * Number of rows per INSERT statement
+ */
+const ROWS_PER_INSERT = 100;
+
+/**
+ * Format a value as a SQL literal
+ *
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} SQL literal
+ */
+function sqlValue(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number') return String(value);
+    return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+/**
+ * Build INSERT statements for a table
+ *
+ * @param {string} table - Table name
+ * @param {string[]} columns - Column names
+ * @param {Array[]} rows - Row values in column order
+ * @returns {string[]} INSERT statements; empty when there are no rows
+ */
+function insertStatements(table, columns, rows) {
+    const statements = [];
+    for (let i = 0; i < rows.length; i += ROWS_PER_INSERT) {
+        const values = rows.slice(i, i + ROWS_PER_INSERT)
+            .map(row => `    (${row.map(sqlValue).join(', ')})`)
+            .join(',\n');
+        statements.push(`INSERT INTO ${table} (${columns.join(', ')}) VALUES\n${values};`);
+    }
+    return statements;
+}
+
+/**
+ * Create a SQL script from DXCC data
+ * Entities get a sequential id, as legacy lists may have no entity code or list one code twice.
+ * Note keys an entity refers to but metadata.notes lacks are left out of entity_notes.
+ * SQLite only enforces the foreign keys after "PRAGMA foreign_keys = ON".
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @returns {string} SQL script
+ */
+function createSQLScript(dxccData) {
+    if (!dxccData || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing entities array');
+    }
+
+    const metadata = dxccData.metadata || {};
+    const continents = metadata.continents || {};
+    const notes = metadata.notes || {};
+    const zoneNotes = metadata.zoneNotes || {};
+
+    const rows = {
+        continents: Object.keys(continents).map(code => [code, continents[code]]),
+        notes: Object.keys(notes).map(key => [key, notes[key]]),
+        zone_notes: Object.keys(zoneNotes).map(letter => [letter, zoneNotes[letter]]),
+        entities: [],
+        entity_continents: [],
+        entity_zones: [],
+        prefixes: [],
+        entity_notes: []
+    };
+
+    dxccData.entities.forEach((entity, index) => {
+        const id = index + 1;
+        rows.entities.push([
+            id,
+            entity.entityCode,
+            entity.entity,
+            entity.prefix,
+            entity.zoneITU,
+            entity.zoneCQ,
+            entity.isCurrent,
+            entity.validFrom || null,
+            entity.validUntil || null
+        ]);
+        [...new Set(entity.continent.split(',').filter(code => continents[code]))]
+            .forEach(code => rows.entity_continents.push([id, code]));
+        [...new Set(entity.zonesITU || [])].forEach(zone => rows.entity_zones.push([id, 'ITU', zone]));
+        [...new Set(entity.zonesCQ || [])].forEach(zone => rows.entity_zones.push([id, 'CQ', zone]));
+        [...new Set(entity.prefixes || [])].forEach(prefix => rows.prefixes.push([id, prefix]));
+        [...new Set(entity.notes || [])]
+            .filter(key => notes[key] !== undefined)
+            .forEach(key => rows.entity_notes.push([id, key]));
+    });
+
+    const columnNames = definition => definition
+        .filter(column => !column.startsWith('PRIMARY KEY'))
+        .map(column => column.split(' ')[0]);
+
+    const lines = [
+        `-- ${metadata.title || 'ARRL DXCC List'}, ${metadata.edition || 'Unknown Edition'}`,
+        `-- Source: ${metadata.sourceFile || 'unknown'}, filter: ${metadata.filterType || 'all'}`,
+        '-- Generated by dxcc-txt2json.js for SQLite and PostgreSQL',
+        '',
+        'BEGIN;',
+        ''
+    ];
+
+    [...TABLES].reverse().forEach(([table]) => lines.push(`DROP TABLE IF EXISTS ${table};`));
+    lines.push('');
+
+    TABLES.forEach(([table, definition]) => {
+        lines.push(`CREATE TABLE ${table} (\n    ${definition.join(',\n    ')}\n);`);
+        lines.push('');
+    });
+    lines.push(...INDEXES);
+
+    TABLES.forEach(([table, definition]) => {
+        const statements = insertStatements(table, columnNames(definition), rows[table]);
+        if (statements.length === 0) return;
+        lines.push('');
+        lines.push(...statements);
+    });
+
+    lines.push('');
+    lines.push('COMMIT;');
+    lines.push('');
+    return lines.join('\n');
+}
+
+export { createSQLScript };
@@ -0,0 +1,264 @@
+/**
+ * DXCC Text List Rendering
+ *
+ * Features:
+ * - Write DXCC data back as a fixed-width text list in the ARRL DXCC LIST layout
+ * - Rebuild the prefix markers from each entity's notes: "(n)" for numbered notes, then #, ^, @, & and *
+ * - Write the header with totals and symbol notes, the current and deleted tables and their NOTES sections
+ * - Compare the data of a list with the data parsed back from its rendering (round trip)
+ *
+ * Author: BG6LH
+ * Version: 0.1.0
+ * Updated: 2025-06-05
+ */
+
+/**
+ * Symbol notes in the order their markers follow a prefix ("KH8(48)#*", "CE9/KC4^*")
+ */
+const SYMBOL_MARKERS = [
+    ['third_party_traffic', '#'],
+    ['antarctica_special', '^'],
+    ['field_checking', '@'],
+    ['gb_third_party', '&'],
+    ['qsl_service', '*']
+];
+
+/**
+ * Symbol notes explained in the list header, in the order the ARRL lists them
+ */
+const HEADER_NOTES = ['qsl_service', 'third_party_traffic', 'field_checking', 'gb_third_party'];
+
+/**
+ * Minimum column widths of the ARRL layout; wider values widen their column
+ */
+const COLUMN_WIDTHS = {
+    prefix: 19,
+    entity: 34,
+    continent: 5,
+    zone: 5,
+    code: 3
+};
+
+/**
+ * Metadata that describes the source file rather than the list, ignored by compareDXCCData
+ */
+const SOURCE_METADATA = ['generatedAt', 'sourceFile', 'inputNormalization', 'provenance'];
+
+/**
+ * Rebuild the prefix column of an entity row
+ *
+ * @param {Object} entity - Entity from createDXCCData
+ * @returns {string} Prefix with note markers, e.g. "KH8(48)#*" or "Z6(1),(55)"
+ */
+function markPrefix(entity) {
+    const notes = entity.notes || [];
+    const numbered = notes
+        .map(note => note.match(/_note_(\d+)$/))
+        .filter(Boolean)
+        .map(match => `(${match[1]})`);
+    const symbols = SYMBOL_MARKERS
+        .filter(([note]) => notes.includes(note))
+        .map(([, marker]) => marker);
+    // The parser keeps the comma of "S0(1),(27)" as "S0,"; it goes back between the notes
+    if (numbered.length > 1 && entity.prefix.endsWith(',')) {
+        return `${entity.prefix.slice(0, -1)}${numbered.join(',')}${symbols.join('')}`;
+    }
+    return `${entity.prefix}${numbered.join('')}${symbols.join('')}`;
+}
+
+/**
+ * Write text at fixed columns
+ *
+ * @param {Array[]} fields - [column, text] pairs in column order
+ * @returns {string} Line with each text starting at its column
+ */
+function placeColumns(fields) {
+    return fields.reduce((line, [column, text]) => line.padEnd(column) + text, '');
+}
+
+/**
+ * Render an entity table: column titles, underscore row and one row per entity
+ * The underscore row gives the column spans the parser slices rows by.
+ *
+ * @param {Object[]} rows - Rows ({prefix, entity, continent, zoneITU, zoneCQ, code})
+ * @returns {string[]} Table lines
+ */
+function renderTable(rows) {
+    const width = (key, minimum) => Math.max(minimum, ...rows.map(row => row[key].length));
+    const prefixWidth = width('prefix', COLUMN_WIDTHS.prefix);
+    const entityWidth = width('entity', COLUMN_WIDTHS.entity);
+    const continentWidth = width('continent', COLUMN_WIDTHS.continent);
+    const ituWidth = width('zoneITU', COLUMN_WIDTHS.zone);
+    const cqWidth = width('zoneCQ', COLUMN_WIDTHS.zone);
+
+    const entityColumn = 4 + prefixWidth + 1;
+    const continentEnd = entityColumn + entityWidth + 1 + continentWidth;
+    const ituColumn = continentEnd + 1;
+    const cqColumn = ituColumn + ituWidth + 1;
+    const codeColumn = cqColumn + cqWidth + 1;
+
+    const lines = [
+        placeColumns([[ituColumn + 2, 'ZONE'], [codeColumn - 1, 'Entity']]),
+        placeColumns([[4, 'Prefix'], [entityColumn, 'Entity'], [continentEnd - 'Continent'.length, 'Continent'],
+            [ituColumn, 'ITU'], [cqColumn, 'CQ'], [codeColumn, 'Code']]),
+        '    ' + [prefixWidth, entityWidth + 1 + continentWidth, ituWidth, cqWidth, COLUMN_WIDTHS.code]
+            .map(columnWidth => '_'.repeat(columnWidth)).join(' ')
+    ];
+    rows.forEach(row => {
+        lines.push(placeColumns([[4, row.prefix], [entityColumn, row.entity], [entityColumn + entityWidth + 1, row.continent],
+            [ituColumn, row.zoneITU], [cqColumn, row.zoneCQ], [codeColumn, row.code]]));
+    });
+    return lines;
+}
+
+/**
+ * Render a NOTES section
+ *
+ * @param {Object} notes - Notes of the data (metadata.notes)
+ * @param {string} notePrefix - 'current_note_' or 'deleted_note_'
+ * @returns {string[]} Section lines, empty when the data has no such notes
+ */
+function renderNotes(notes, notePrefix) {
+    const numbers = Object.keys(notes)
+        .filter(key => key.startsWith(notePrefix))
+        .map(key => parseInt(key.slice(notePrefix.length)))
+        .sort((a, b) => a - b);
+    if (numbers.length === 0) return [];
+
+    return [
+        '    NOTES:',
+        ...numbers.map(number => `    ${String(number).padEnd(5)}${notes[notePrefix + number]}`)
+    ];
+}
+
+/**
+ * Render the symbol note explanations of the list header
+ *
+ * @param {Object} notes - Notes of the data (metadata.notes)
+ * @returns {string[]} One line per symbol note except "^", which follows the current NOTES
+ */
+function renderSymbolNotes(notes) {
+    return HEADER_NOTES
+        .filter(note => notes[note])
+        .map(note => {
+            const marker = SYMBOL_MARKERS.find(([symbolNote]) => symbolNote === note)[1];
+            return notes[note].startsWith(marker) ? notes[note] : `${marker}  ${notes[note]}`;
+        });
+}
+
+/**
+ * Render DXCC data as an ARRL DXCC LIST text file
+ * The current section is written unless the data was filtered to deleted entities, and the other way
+ * around. Entities without an entity code (unmatched rows of legacy lists) have no row to go in and
+ * are left out.
+ *
+ * @param {Object} dxccData - Parsed DXCC data from createDXCCData
+ * @returns {{text: string, skipped: Object[]}} Text list and the entities left out
+ */
+function renderDXCCText(dxccData) {
+    if (!dxccData || !dxccData.metadata || !Array.isArray(dxccData.entities)) {
+        throw new Error('Invalid DXCC data: missing metadata or entities array');
+    }
+
+    const metadata = dxccData.metadata;
+    const notes = metadata.notes || {};
+    const statedTotals = (metadata.statistics && metadata.statistics.statedTotals) || {};
+    const filterType = metadata.filterType || 'all';
+    const edition = metadata.edition;
+    const skipped = [];
+
+    const toRows = entities => entities
+        .filter(entity => {
+            if (Number.isInteger(entity.entityCode)) return true;
+            skipped.push({ entityCode: entity.entityCode, entity: entity.entity, reason: 'no entity code' });
+            return false;
+        })
+        .map(entity => ({
+            prefix: markPrefix(entity),
+            entity: entity.entity,
+            continent: entity.continent,
+            zoneITU: String(entity.zoneITU),
+            zoneCQ: String(entity.zoneCQ),
+            code: String(entity.entityCode).padStart(COLUMN_WIDTHS.code, '0')
+        }));
+    const total = (key, rows) => statedTotals[key] !== null && statedTotals[key] !== undefined
+        ? statedTotals[key]
+        : rows.length;
+
+    const lines = [];
+    if (filterType !== 'deleted') {
+        const rows = toRows(dxccData.entities.filter(entity => entity.isCurrent));
+        const honorRoll = metadata.honorRollThreshold
+            ? ` (entry level Honor Roll is ${metadata.honorRollThreshold} current entities)`
+            : '';
+        const symbolNotes = renderSymbolNotes(notes);
+
+        lines.push('ARRL DXCC LIST', 'CURRENT ENTITIES', edition,
+            `Current Entities Total:  ${total('currentEntities', rows)}${honorRoll}`, '');
+        if (symbolNotes.length > 0) {
+            lines.push('Notes:', ...symbolNotes, '');
+        }
+        lines.push('', ...renderTable(rows), '', ...renderNotes(notes, 'current_note_'), '');
+        if (notes.antarctica_special) {
+            lines.push(`    ^    ${notes.antarctica_special}`, '');
+        }
+        lines.push('     Zone Notes can be found with Prefix Cross References.', '', '', '');
+    }
+    if (filterType !== 'current') {
+        const rows = toRows(dxccData.entities.filter(entity => !entity.isCurrent));
+
+        lines.push('ARRL DXCC LIST', 'DELETED ENTITIES', '',
+            /Edition$/i.test(edition) ? edition : `${edition} Edition`,
+            `Deleted Entities Total:  ${total('deletedEntities', rows)}`, '',
+            'Credit for any of these entities can be given if the date of contact in question agrees with the date(s) shown in the corresponding footnote.',
+            '', '', ...renderTable(rows), '', ...renderNotes(notes, 'deleted_note_'), '');
+    }
+
+    return { text: lines.join('\n'), skipped };
+}
+
+/**
+ * Compare two JSON values and list where they differ
+ * Object keys are compared regardless of their order.
+ *
+ * @param {*} expected - Value before the round trip
+ * @param {*} found - Value after the round trip
+ * @param {string} jsonPath - JSON path of the values
+ * @param {Object[]} differences - Differences found so far ({path, expected, found}); appended to
+ * @returns {Object[]} The differences array
+ */
+function compareValues(expected, found, jsonPath, differences) {
+    const isObject = value => value !== null && typeof value === 'object';
+    if (Array.isArray(expected) && Array.isArray(found)) {
+        for (let i = 0; i < Math.max(expected.length, found.length); i++) {
+            compareValues(expected[i], found[i], `${jsonPath}[${i}]`, differences);
+        }
+    } else if (isObject(expected) && isObject(found) && !Array.isArray(expected) && !Array.isArray(found)) {
+        [...new Set([...Object.keys(expected), ...Object.keys(found)])].forEach(key => {
+            const keyPath = /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${jsonPath}.${key}` : `${jsonPath}[${JSON.stringify(key)}]`;
+            compareValues(expected[key], found[key], keyPath, differences);
+        });
+    } else if (JSON.stringify(expected) !== JSON.stringify(found)) {
+        differences.push({ path: jsonPath, expected, found });
+    }
+    return differences;
+}
+
+/**
+ * Compare DXCC data with the data parsed back from its text rendering
+ * Metadata about the source file (generatedAt, sourceFile, inputNormalization, provenance) is ignored.
+ *
+ * @param {Object} expected - Data the text was rendered from
+ * @param {Object} found - Data parsed from the rendered text
+ * @returns {Object[]} Differences ({path, expected, found}); empty when nothing was lost
+ */
+function compareDXCCData(expected, found) {
+    const withoutSource = data => {
+        const metadata = { ...data.metadata };
+        SOURCE_METADATA.forEach(key => delete metadata[key]);
+        return { ...data, metadata };
+    };
+    return compareValues(withoutSource(expected), withoutSource(found), '$', []);
+}
+
+export { renderDXCCText, compareDXCCData, markPrefix };
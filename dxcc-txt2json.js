@@ -3,7 +3,7 @@
  * 
  * Features:
  * - Parse ARRL DXCC Current and Deleted Entities text file
- * - Generate standardized JSON format data
+ * - Generate standardized JSON format data, or export CSV/TSV, cty.dat, the ADIF DXCC enumeration and SQL
  * - Extract prefix, entity name, continent, ITU/CQ zone, entity code and other information
  * - Handle various special marks and notes
  * 
@@ -15,6 +15,23 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { expandPrefix, expandEntityPrefixes, expandZones } from './dxcc-prefix.js';
+import { createResolver, resolveCallsign } from './dxcc-resolver.js';
+import { diffDXCCData, formatDiffMarkdown } from './dxcc-diff.js';
+import { createDXCCHistory, lookupEntityHistory } from './dxcc-history.js';
+import { createCreditChecker, checkQSOCredit } from './dxcc-credit.js';
+import { parseCrossReferences } from './dxcc-aliases.js';
+import { formatEntitiesDelimited } from './dxcc-csv.js';
+import { createCtyDat } from './dxcc-cty.js';
+import { formatADIFEnumeration, parseADIF, formatADIF } from './dxcc-adif.js';
+import { createSQLScript } from './dxcc-sql.js';
+import { createAwardReport } from './dxcc-awards.js';
+import { checkADIFLog } from './dxcc-logcheck.js';
+import { validateDXCCData } from './dxcc-schema.js';
+import { normalizeInput, expandTabs } from './dxcc-input.js';
+import { CONVERTER, sha256, resolveTimestamp } from './dxcc-provenance.js';
+import { renderDXCCText, compareDXCCData } from './dxcc-txt.js';
+import { applyOverlay, validateOverlay } from './dxcc-overlay.js';
 
 // Get current file directory path (ES module __dirname alternative)
 const __filename = fileURLToPath(import.meta.url);
@@ -35,37 +52,66 @@ const CONTINENT_CODES = {
 };
 
 /**
- * Zone notes mapping
- * Specific zone ranges when ITU Zone is displayed as letters
- * Source: Prefix Cross References.md
- */
-const ZONE_NOTES = {
-    'A': '33, 42, 43, 44',
-    'B': '67, 69-74',
-    'C': '12, 13, 29, 30, 32, 38, 39',
-    'D': '12, 13, 15',
-    'E': '19, 20, 29, 30',
-    'F': '20-26, 30-35, 75',
-    'G': '16, 17, 18, 19, 23',
-    'H': '2, 3, 4, 9, 75',
-    'I': '55, 58, 59'
+ * Legacy symbol note mapping
+ * Note symbols used by the 1995 "DXCC COUNTRIES LIST" edition
+ */
+const LEGACY_SYMBOL_NOTES = {
+    '@': 'field_checking',
+    '*': 'qsl_service',
+    '#': 'third_party_traffic',
+    '&': 'gb_third_party'
+};
+
+/**
+ * File extensions of the output formats
+ */
+const FORMAT_EXTENSIONS = {
+    json: 'json',
+    csv: 'csv',
+    tsv: 'tsv',
+    cty: 'dat',
+    adif: 'csv',
+    sql: 'sql',
+    txt: 'txt'
 };
 
+/**
+ * Diagnostic codes raised as errors in strict mode
+ */
+const STRICT_CODES = ['unmatched-line', 'fallback-match', 'incomplete-row', 'missing-note', 'duplicate-entity-code', 'duplicate-legacy-code'];
+
+/**
+ * Create a diagnostics collector
+ * Parsers report through it instead of writing to the console, so the library API stays silent;
+ * the CLI prints the collected list afterwards.
+ * 
+ * @param {boolean} strict - Raise the warnings listed in STRICT_CODES as errors
+ * @returns {Object} Collector with info/warn/error methods and the collected list
+ */
+function createDiagnostics(strict = false) {
+    const list = [];
+    const add = level => (code, message, line = null) => {
+        const raised = level === 'warning' && strict && STRICT_CODES.includes(code) ? 'error' : level;
+        list.push({ level: raised, code, message, line });
+    };
+    
+    return { list, info: add('info'), warn: add('warning'), error: add('error') };
+}
+
 /**
  * Parse numbered notes section
  * 
  * @param {string[]} lines - All file lines
  * @param {number} startIndex - Start search line index
  * @param {boolean} isCurrentSection - Whether it's current entity section
+ * @param {Object} diagnostics - Diagnostics collector
  * @returns {Object} Object containing notes mapping
  */
-function parseNumberedNotes(lines, startIndex, isCurrentSection) {
+function parseNumberedNotes(lines, startIndex, isCurrentSection, diagnostics) {
     const notes = {};
     const sectionName = isCurrentSection ? 'current' : 'deleted';
     const notePrefix = isCurrentSection ? 'current_note_' : 'deleted_note_';
     
-    console.log(`Starting to parse numbered notes for ${sectionName} entities...`);
-    
     for (let i = startIndex; i < lines.length; i++) {
         const line = lines[i].trim();
         
@@ -103,28 +149,116 @@ function parseNumberedNotes(lines, startIndex, isCurrentSection) {
             
             const noteKey = `${notePrefix}${noteNumber}`;
             notes[noteKey] = noteText;
-            console.log(`Found ${sectionName} note ${noteNumber}: ${noteText.substring(0, 50)}...`);
             
             // Update loop index
             i = j - 1;
         }
     }
     
-    console.log(`Parsed ${Object.keys(notes).length} ${sectionName} numbered notes`);
+    diagnostics.info('notes-parsed', `Parsed ${Object.keys(notes).length} ${sectionName} numbered notes`);
     return notes;
 }
 
+/**
+ * Month names used in note dates
+ */
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+const NOTE_DATE = '((?:January|February|March|April|May|June|July|August|September|October|November|December)\\s+\\d{1,2},\\s*\\d{4})';
+
+/**
+ * Convert a note date to ISO format
+ * 
+ * @param {string} text - Date as written in notes, e.g. "June 20, 1960"
+ * @param {string} utcTime - Optional "HHMM" UTC time, e.g. "0400"
+ * @returns {string} "YYYY-MM-DD", or "YYYY-MM-DDTHH:MM:00Z" when a time is given
+ */
+function toISODate(text, utcTime) {
+    const [, month, day, year] = text.match(/([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})/);
+    const date = `${year}-${String(MONTHS.indexOf(month) + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
+    return utcTime ? `${date}T${utcTime.slice(0, 2)}:${utcTime.slice(2)}:00Z` : date;
+}
+
+/**
+ * Parse the entity names and prefixes after "count as"
+ * "Burundi (9U) or Rwanda (9X)" gives two references
+ * 
+ * @param {string} text - Text after "count as"
+ * @returns {Object[]} Entity names and prefixes
+ */
+function parseEntityReferences(text) {
+    return text
+        .replace(/^(?:either|eith)\s+/i, '')
+        .split(/\s+(?:or|ro)\s+/)
+        .map(part => {
+            const refMatch = part.trim().match(/^(.+?)\s*(?:\(([^)]+)\))?$/);
+            return { entity: refMatch[1].trim(), prefix: refMatch[2] || null };
+        })
+        .filter(ref => ref.entity);
+}
+
+/**
+ * Extract validity rules from a numbered note
+ * Recognizes "Only contacts made <date>, and after/and before", "<date> to <date>",
+ * "Contacts made <date>, and after, count as <entity> (<prefix>)" and similar wording.
+ * 
+ * @param {string} noteText - Note text
+ * @returns {Object} Valid periods ({from, until, prefix}) and successor references ({entity, prefix, from, until})
+ */
+function parseNoteValidity(noteText) {
+    const text = noteText.replace(/\s+/g, ' ');
+    const periods = [];
+    const successors = [];
+    let match;
+
+    // "Only contacts made with DA-DL stations September 17, 1973, and after, and contacts made with Y2-Y9 stations ..."
+    const stationPattern = new RegExp(`made (?:with )?(\\S+) stations ${NOTE_DATE},? and after`, 'g');
+    while ((match = stationPattern.exec(text)) !== null) {
+        periods.push({ from: toISODate(match[2]), until: null, prefix: match[1] });
+    }
+
+    if (periods.length === 0) {
+        if ((match = text.match(new RegExp(`Only contacts? made (?:from )?${NOTE_DATE},? to ${NOTE_DATE}`)))) {
+            periods.push({ from: toISODate(match[1]), until: toISODate(match[2]) });
+        } else if ((match = text.match(new RegExp(`Only contacts? made (?:before |on |from )?${NOTE_DATE},? and before(?:,? or ${NOTE_DATE},? and after)?`)))) {
+            periods.push({ from: null, until: toISODate(match[1]) });
+            if (match[2]) {
+                periods.push({ from: toISODate(match[2]), until: null });
+            }
+        } else if ((match = text.match(new RegExp(`Only contacts? made (?:starting (\\d{4}) UTC )?${NOTE_DATE},? and after`)))) {
+            periods.push({ from: toISODate(match[2], match[1]), until: null });
+        } else if ((match = text.match(new RegExp(`valid for this entity effective ${NOTE_DATE}`)))) {
+            periods.push({ from: toISODate(match[1]), until: null });
+        }
+    }
+
+    // "Contacts made July 16, 1972, and after, count as Tonga (A3)." and "Contacts made from ... to ..., count for West Malaysia."
+    const successorPattern = new RegExp(`(?:^|\\.\\s*|\\)\\s*)Contacts? made (?:from )?${NOTE_DATE}(?:,? to ${NOTE_DATE})?,?\\s*(?:and after,?\\s*)?(?:count|country) (?:as|for) (?!this)(.+?)\\.?$`, 'i');
+    if ((match = text.match(successorPattern))) {
+        parseEntityReferences(match[3]).forEach(ref => {
+            successors.push({ ...ref, from: toISODate(match[1]), until: match[2] ? toISODate(match[2]) : null });
+        });
+    }
+
+    // "On October 3, 1990, German Democratic Republic became part of Federal Republic of Germany."
+    if ((match = text.match(new RegExp(`On ${NOTE_DATE},? .+? became part of (?:the )?(.+?)\\.?$`)))) {
+        successors.push({ entity: match[2].trim(), prefix: null, from: toISODate(match[1]), until: null });
+    }
+
+    return { periods, successors };
+}
+
 /**
  * Parse symbol notes
  * Extract symbol notes from file beginning
  * 
  * @param {string[]} lines - All file lines
  * @param {number} startIndex - Start search line index
-
+ * @param {Object} diagnostics - Diagnostics collector
  * @returns {Object} Symbol notes object
-r */
-function parseSymbolNotes(lines, startIndex = 0) {
-    console.log('Starting to parse symbol notes...');
+ */
+function parseSymbolNotes(lines, startIndex, diagnostics) {
     const symbolNotes = {};
     
     // 遍历整个文件来查找符号备注，不限制在开头部分
@@ -137,18 +271,18 @@ function parseSymbolNotes(lines, startIndex = 0) {
         // Match QSL service mark (*)
         if (line.includes('QSL') && line.includes('Service') && line.includes('*')) {
             symbolNotes.qsl_service = line;
-            console.log('Found QSL service note');
+            diagnostics.info('symbol-note', 'Found QSL service note', i + 1);
         }
         
         // Match third-party traffic mark (#)
         if (line.includes('third-party') && line.includes('traffic') && line.includes('#') && !line.startsWith('^')) {
             symbolNotes.third_party_traffic = line;
-            console.log('Found third-party traffic note');
+            diagnostics.info('symbol-note', 'Found third-party traffic note', i + 1);
         }
         
         // Match Antarctica special note (^) - starts with ^ symbol
         if (line.startsWith('^')) {
-            console.log(`Found Antarctica note line at line ${i + 1}: "${line}"`);
+            diagnostics.info('symbol-note', 'Found Antarctica note', i + 1);
             // 移除开头的 ^ 符号并清理文本
             let antarcticaNote = line.substring(1).trim();
             
@@ -168,30 +302,78 @@ function parseSymbolNotes(lines, startIndex = 0) {
                 }
                 
                 antarcticaNote += ' ' + nextLine;
-                console.log(`Adding continuation line: "${nextLine}"`);
                 j++;
             }
             
             symbolNotes.antarctica_special = antarcticaNote;
-            console.log(`Antarctica special note found: ${antarcticaNote}`);
             i = j - 1;
         }
     }
     
-    console.log('Symbol notes parsed:', Object.keys(symbolNotes));
     return symbolNotes;
 }
 
 /**
  * Parse Zone notes
- * Extract zone letter mappings
+ * Extract zone letter mappings such as "(A) 33, 42, 43, 44"
+ * The lists refer to "Zone Notes can be found with Prefix Cross References", so the
+ * cross reference file is used when the list itself has no zone notes.
  * 
  * @param {string[]} lines - All file lines
+ * @param {string|null} crossReferenceContent - Content of "Prefix Cross References.md"
+ * @param {Object} diagnostics - Diagnostics collector
  * @returns {Object} zone notes object
  */
-function parseZone(lines) {
-    console.log('Parsing Zone notes...');
-    return ZONE_NOTES;
+function parseZone(lines, crossReferenceContent, diagnostics) {
+    const readZoneNotes = sourceLines => {
+        const zoneNotes = {};
+        sourceLines.forEach(line => {
+            // "(A) 33, 42, 43, 44" in text, "**(A)** 33, 42, 43, 44" in Markdown
+            const zoneMatch = line.trim().match(/^\**\(([A-Z])\)\**\s+(\d+(?:\s*[,-]\s*\d+)*)$/);
+            if (zoneMatch) {
+                zoneNotes[zoneMatch[1]] = zoneMatch[2].replace(/\s*,\s*/g, ', ').replace(/\s*-\s*/g, '-');
+            }
+        });
+        return zoneNotes;
+    };
+    
+    let zoneNotes = readZoneNotes(lines);
+    if (Object.keys(zoneNotes).length === 0 && crossReferenceContent) {
+        zoneNotes = readZoneNotes(crossReferenceContent.split('\n'));
+    }
+    
+    if (Object.keys(zoneNotes).length === 0) {
+        diagnostics.warn('missing-zone-notes', 'No zone notes found; zone letters on entity rows cannot be resolved');
+    } else {
+        diagnostics.info('zone-notes', `Zone notes parsed: ${Object.keys(zoneNotes).join(', ')}`);
+    }
+    return zoneNotes;
+}
+
+/**
+ * Parse the totals stated in the list header and footer
+ * "Current Entities Total:  340 (entry level Honor Roll is 331 current entities)",
+ * "Deleted Entities Total:  62"; the 1995 list only states "Deleted Countries Total: 57"
+ * 
+ * @param {string[]} lines - All file lines
+ * @returns {Object} Stated totals ({currentEntities, deletedEntities, honorRollThreshold}), null when not stated
+ */
+function parseListTotals(lines) {
+    const totals = { currentEntities: null, deletedEntities: null, honorRollThreshold: null };
+    
+    lines.forEach(line => {
+        const totalMatch = line.match(/\b(Current|Deleted)\s+(?:Entities|Countries)\s+Total:\s*(\d+)/i);
+        if (totalMatch && totals[`${totalMatch[1].toLowerCase()}Entities`] === null) {
+            totals[`${totalMatch[1].toLowerCase()}Entities`] = parseInt(totalMatch[2]);
+        }
+        
+        const honorRollMatch = line.match(/Honor Roll is\s+(\d+)/i);
+        if (honorRollMatch && totals.honorRollThreshold === null) {
+            totals.honorRollThreshold = parseInt(honorRollMatch[1]);
+        }
+    });
+    
+    return totals;
 }
 
 /**
@@ -224,94 +406,143 @@ function extractPrefixNotes(prefix, isCurrent) {
     if (prefix.includes('^')) {
         notes.push('antarctica_special');
     }
+    if (prefix.includes('@')) {
+        notes.push('field_checking');
+    }
+    if (prefix.includes('&')) {
+        notes.push('gb_third_party');
+    }
     
     return notes;
 }
 
 /**
- * Create DXCC data
- * Main function to parse DXCC file and generate JSON data
+ * Read column spans from the underscore row above an entity table
  * 
- * @param {string} filePath - Input file path
- * @param {string} filterType - Filter type: 'all', 'current', 'deleted'
- * @returns {Object} Parsed DXCC data object
+ * @param {string} line - Underscore row, e.g. "    _______ ________ _____ _____ ___"
+ * @returns {Object[]|null} Spans ({start, end}, end exclusive) in expanded-tab columns; null unless the
+ *     row has the five runs of the entity table (Prefix, Entity and Continent, ITU, CQ, Code)
  */
-function createDXCCData(filePath, filterType = 'all') {
-    console.log(`Starting to parse DXCC file: ${filePath}`);
-    console.log(`Filter type: ${filterType}`);
-    
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-        console.error(`❌ Error: Input file does not exist: ${filePath}`);
-        console.error(`💡 Please check the file path and ensure the file exists.`);
-        console.error(`💡 Available files in the directory might include:`);
-        
-        // Try to list files in the same directory for suggestions
-        try {
-            const dir = path.dirname(filePath);
-            const files = fs.readdirSync(dir)
-                .filter(file => file.endsWith('.txt') && file.toLowerCase().includes('current'))
-                .slice(0, 5); // Show up to 5 suggestions
-            
-            if (files.length > 0) {
-                files.forEach(file => {
-                    console.error(`   - ${path.join(dir, file)}`);
-                });
-            } else {
-                console.error(`   (No .txt files found in ${dir})`);
-            }
-        } catch (dirError) {
-            console.error(`   (Unable to list directory contents)`);
-        }
-        
-        throw new Error(`Input file not found: ${filePath}`);
+function readColumnSpans(line) {
+    const spans = [];
+    const runPattern = /_+/g;
+    let run;
+    while ((run = runPattern.exec(expandTabs(line))) !== null) {
+        spans.push({ start: run.index, end: run.index + run[0].length });
     }
-    
-    // Read file
-    let content;
-    try {
-        content = fs.readFileSync(filePath, 'utf-8');
-    } catch (readError) {
-        console.error(`❌ Error reading file: ${filePath}`);
-        console.error(`💡 Error details: ${readError.message}`);
-        throw new Error(`Failed to read file: ${filePath}`);
+    return spans.length === 5 ? spans : null;
+}
+
+/**
+ * Slice an entity row by column spans
+ * The underscore row has one run for Entity and Continent, so the continent is taken from the end
+ * of that slice. The last column runs to the end of the line; text between spans must be blank.
+ * 
+ * @param {string} line - Entity row
+ * @param {Object[]} spans - Spans from readColumnSpans
+ * @returns {Array|null} Match array [line, prefix, entity, continent, zoneITU, zoneCQ, entityCode], or null
+ *     when the row does not fit the spans
+ */
+function sliceEntityRow(line, spans) {
+    const row = expandTabs(line);
+    const gaps = spans.slice(1).map((span, index) => row.slice(spans[index].end, span.start));
+    if (row.slice(0, spans[0].start).trim() || gaps.some(gap => gap.trim())) {
+        return null;
     }
     
-    const lines = content.split('\n');
+    const fields = spans.map((span, index) =>
+        row.slice(span.start, index === spans.length - 1 ? undefined : span.end).trim());
+    const [prefix, entityAndContinent, zoneITU, zoneCQ, entityCode] = fields;
+    const nameMatch = entityAndContinent.match(/^(.+?)\s+((?:AF|AN|AS|EU|NA|OC|SA)(?:,(?:AF|AN|AS|EU|NA|OC|SA))*)$/);
+    const zonePattern = /^(\d+(?:[,\-]\d+)*|\([A-Z]\))$/;
     
-    console.log(`File read complete, total ${lines.length} lines`);
+    if (!prefix || !nameMatch || !zonePattern.test(zoneITU) || !zonePattern.test(zoneCQ) || !/^\d+$/.test(entityCode)) {
+        return null;
+    }
+    return [line, prefix, nameMatch[1], nameMatch[2], zoneITU, zoneCQ, entityCode];
+}
+
+/**
+ * Match an entity row by its content
+ * Used when the table has no underscore row to take the column spans from. The loose pattern and
+ * the space split may put field boundaries in the wrong place, so they are reported as fallbacks.
+ * 
+ * @param {string} line - Trimmed entity row
+ * @returns {{match: Array|null, matchedBy: string|null}} Match array as from sliceEntityRow, and the
+ *     fallback that matched (null for the primary pattern)
+ */
+function matchEntityRow(line) {
+    const primary = line.match(/^\s*([A-Z0-9\/,\-\*\^\_\#\(\)]+)\s+([A-Za-z0-9\s\&\.\-\'\(\),\/]+?)\s+((?:AF|AN|AS|EU|NA|OC|SA)(?:,(?:AF|AN|AS|EU|NA|OC|SA))*)\s+(\d+(?:[,\-]\d+)*|\([A-Z]\))\s+(\d+(?:[,\-]\d+)*|\([A-Z]\))\s+(\d+)\s*$/);
+    if (primary) {
+        return { match: primary, matchedBy: null };
+    }
     
-    // Extract edition information from file content
-    let edition = "Unknown Edition";
-    for (let i = 0; i < Math.min(10, lines.length); i++) {
-        const line = lines[i].trim();
-        // Match patterns like "February 2022", "January 2013 Edition", etc.
-        const editionMatch = line.match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})(?:\s+Edition)?/i);
-        if (editionMatch) {
-            edition = editionMatch[0];
-            console.log(`Found edition: ${edition}`);
-            break;
-        }
+    // Fields separated by tabs or several spaces
+    const loose = line.match(/^\s*([A-Z0-9\/,\-\*\^\_\#\(\)\s]+?)\s+(\S.*?)\s+((?:AF|AN|AS|EU|NA|OC|SA)(?:,(?:AF|AN|AS|EU|NA|OC|SA))*)\s+(\d+(?:[,\-]\d+)*|\([A-Z]\))\s+(\d+(?:[,\-]\d+)*|\([A-Z]\))\s+(\d+)\s*$/);
+    if (loose) {
+        return { match: loose, matchedBy: 'loose pattern' };
+    }
+    
+    // Split on whitespace: the last four fields are continent, ITU zone, CQ zone and entity code
+    const parts = line.trim().split(/\s+/);
+    if (parts.length >= 6 &&
+        /^\d+$/.test(parts[parts.length - 1]) &&
+        /^(AF|AN|AS|EU|NA|OC|SA)(,(AF|AN|AS|EU|NA|OC|SA))*$/.test(parts[parts.length - 4])) {
+        return {
+            match: [
+                line,
+                parts[0],
+                parts.slice(1, parts.length - 4).join(' '),
+                parts[parts.length - 4],
+                parts[parts.length - 3],
+                parts[parts.length - 2],
+                parts[parts.length - 1]
+            ],
+            matchedBy: 'space-split fallback'
+        };
     }
     
+    return { match: null, matchedBy: null };
+}
+
+/**
+ * Parse current/deleted entities list
+ * Parse the entity tables and NOTES sections of the ARRL DXCC LIST format (2013 and later)
+ * 
+ * @param {string[]} lines - All file lines
+ * @param {Object} zoneNotes - Zone letter to zone list mapping
+ * @param {Object} diagnostics - Diagnostics collector
+ * @returns {Object} Entities, their source line numbers (Map), symbol notes, current notes and deleted notes
+ */
+function parseCurrentDeletedList(lines, zoneNotes, diagnostics) {
     // Parse symbol notes from the beginning using the dedicated function
-    const symbolNotes = parseSymbolNotes(lines, 0);
-    console.log('Symbol notes parsed:', Object.keys(symbolNotes));
+    const symbolNotes = parseSymbolNotes(lines, 0, diagnostics);
     
     // Find entity data start (after the header table)
     let dataStartIndex = -1;
+    let columnSpans = null;
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i].trim();
         if (line.includes('___________')) { // Table separator line
             dataStartIndex = i + 1;
+            columnSpans = readColumnSpans(lines[i]);
             break;
         }
     }
     
-    console.log(`Found entity data start at line ${dataStartIndex}`);
+    if (dataStartIndex === -1) {
+        diagnostics.warn('missing-table-header', 'No underscore row found above the entity table; scanning the whole file');
+        dataStartIndex = 0;
+    } else {
+        diagnostics.info('table-start', 'Found entity data start', dataStartIndex + 1);
+    }
+    if (dataStartIndex > 0 && !columnSpans) {
+        diagnostics.warn('missing-column-spans', 'Underscore row does not give the five table columns; matching rows by content', dataStartIndex);
+    }
     
     // Parse entities and find notes sections
     const entities = [];
+    const entityLines = new Map();
     let currentEntitiesCount = 0;
     let deletedEntitiesCount = 0;
     let inDeletedSection = false;
@@ -327,24 +558,32 @@ function createDXCCData(filePath, filterType = 'all') {
         // Check for NOTES section (current entities notes)
         if (line === 'NOTES:' && !inDeletedSection) {
             currentNotesStart = i + 1;
-            console.log(`Found current entities NOTES at line ${i}`);
+            diagnostics.info('notes-section', 'Found current entities NOTES', i + 1);
             continue;
         }
         
         // Check if entering deleted entities section
         if (line.includes('DELETED ENTITIES')) {
             inDeletedSection = true;
-            console.log('Entering deleted entities section');
+            diagnostics.info('deleted-section', 'Entering deleted entities section', i + 1);
             continue;
         }
         
         // Check for deleted entities notes
         if (line === 'NOTES:' && inDeletedSection) {
             deletedNotesStart = i + 1;
-            console.log(`Found deleted entities NOTES at line ${i}`);
+            diagnostics.info('notes-section', 'Found deleted entities NOTES', i + 1);
             break; // Stop parsing entities, start parsing deleted notes
         }
         
+        // Each table (current, deleted) has its own underscore row
+        if (line.includes('___________')) {
+            columnSpans = readColumnSpans(lines[i]);
+            if (!columnSpans) {
+                diagnostics.warn('missing-column-spans', 'Underscore row does not give the five table columns; matching rows by content', i + 1);
+            }
+        }
+        
         // Skip headers and separators - 更完整的跳过条件
         if (line.includes('Prefix') || 
             line.includes('Entity') || 
@@ -369,6 +608,7 @@ function createDXCCData(filePath, filterType = 'all') {
             line.startsWith('*') ||
             line.startsWith('#') ||
             line.startsWith('^')) {
+            diagnostics.info('skipped-header', `Skipped header: "${line}"`, i + 1);
             continue;
         }
         
@@ -377,66 +617,42 @@ function createDXCCData(filePath, filterType = 'all') {
             continue;
         }
         
-        // Parse entity line - 进一步优化正则表达式处理复杂格式
-        // Parse entity line - 使用更灵活的匹配策略
-        // 先尝试标准格式匹配 - 修复前缀解析问题
-        // 修复正则表达式匹配，确保正确分离 ITU Zone 和 CQ Zone
-        let entityMatch = line.match(/^\s*([A-Z0-9\/,\-\*\^\_\#\(\)]+)\s+([A-Za-z0-9\s\&\.\-\'\(\),\/]+?)\s+((?:AF|AN|AS|EU|NA|OC|SA)(?:,(?:AF|AN|AS|EU|NA|OC|SA))*)\s+(\d+)\s+(\d+)\s+(\d+)\s*$/);
-        
-        // 如果标准格式不匹配，尝试更宽松的格式
-        if (!entityMatch) {
-        // 使用制表符或多个空格分隔的格式，确保 ITU 和 CQ Zone 分别匹配
-        entityMatch = line.match(/^\s*([A-Z0-9\/,\-\*\^\_\#\(\)\s]+?)\s+(\S.*?)\s+((?:AF|AN|AS|EU|NA|OC|SA)(?:,(?:AF|AN|AS|EU|NA|OC|SA))*)\s+(\d+)\s+(\d+)\s+(\d+)\s*$/);
-        }
-        
-        // 在第 380-420 行的解析部分，需要修复字段分割逻辑
-        
-        // 如果还是不匹配，尝试按空格分割的方法
-        if (!entityMatch) {
-        const parts = line.trim().split(/\s+/);
-        if (parts.length >= 6) {
-        // 检查最后一个是否为数字（实体代码）
-        const lastPart = parts[parts.length - 1];
-        if (/^\d+$/.test(lastPart)) {
-        // 检查倒数第四个是否为大洲代码
-        const continentPart = parts[parts.length - 4];
-        if (/^(AF|AN|AS|EU|NA|OC|SA)(,(AF|AN|AS|EU|NA|OC|SA))*$/.test(continentPart)) {
-        // 重构匹配结果 - 修复 ITU Zone 和 CQ Zone 的分配
-        const prefix = parts[0];
-        const entity = parts.slice(1, parts.length - 4).join(' ');
-        const continent = continentPart;
-        // 修复：ITU Zone 是倒数第三个，CQ Zone 是倒数第二个
-        const zoneITU = parts[parts.length - 3];
-        const zoneCQ = parts[parts.length - 2];
-        const entityCode = lastPart;
-        
-        entityMatch = [line, prefix, entity, continent, zoneITU, zoneCQ, entityCode];
-        }
-        }
-        }
+        // Slice the row by the column spans; match by content only when the table has no underscore row
+        let entityMatch;
+        let matchedBy = null;
+        if (columnSpans) {
+            entityMatch = sliceEntityRow(lines[i], columnSpans);
+        } else {
+            ({ match: entityMatch, matchedBy } = matchEntityRow(line));
         }
         
         if (entityMatch) {
             const [, prefix, entity, continent, zoneITU, zoneCQ, entityCode] = entityMatch;
+            if (matchedBy) {
+                diagnostics.warn('fallback-match', `Entity line matched by the ${matchedBy} only: "${line}"`, i + 1);
+            }
             
             // Extract notes
             const notes = extractPrefixNotes(prefix.trim(), !inDeletedSection);
             
+            const cleanPrefix = prefix.trim().replace(/[\*\^\#]/g, '').replace(/\([^)]*\)/g, ''); // 移除特殊字符和括号标注
+            
             const entityObj = {
-                prefix: prefix.trim().replace(/[\*\^\#]/g, '').replace(/\([^)]*\)/g, ''), // 移除特殊字符和括号标注
+                prefix: cleanPrefix,
+                prefixes: expandPrefix(cleanPrefix),
                 entity: entity.trim(),
                 continent: continent.trim(),
                 zoneITU: zoneITU.trim(),
                 zoneCQ: zoneCQ.trim(),
+                zonesITU: expandZones(zoneITU.trim(), zoneNotes),
+                zonesCQ: expandZones(zoneCQ.trim(), zoneNotes),
                 entityCode: parseInt(entityCode),
                 notes: notes,
                 isCurrent: !inDeletedSection
             };
             
             entities.push(entityObj);
-            
-            // 添加调试输出，显示成功解析的实体DXCC编号
-            console.log(`✓ Found entity #${entityCode}: ${entity.trim()} (${inDeletedSection ? 'Deleted' : 'Current'})`);
+            entityLines.set(entityObj, i + 1);
             
             if (inDeletedSection) {
                 deletedEntitiesCount++;
@@ -458,15 +674,20 @@ function createDXCCData(filePath, filterType = 'all') {
                 !line.startsWith('^') &&
                 !line.includes('http://') &&
                 !line.includes('visit:')) {
-                console.log(`Unmatched entity line: \"${line}\"`);
+                diagnostics.warn('unmatched-line', `Unmatched entity line: "${line}"`, i + 1);
             }
         }
     }
     
-    console.log(`Entity parsing complete:`);
-    console.log(`- Current entities: ${currentEntitiesCount}`);
-    console.log(`- Deleted entities: ${deletedEntitiesCount}`);
-    console.log(`- Total entities: ${entities.length}`);
+    diagnostics.info('entities-parsed', `Entity parsing complete: ${currentEntitiesCount} current, ${deletedEntitiesCount} deleted, ${entities.length} total`);
+    if (currentNotesStart === -1) {
+        diagnostics.warn('missing-notes-section', 'No NOTES section found for current entities');
+    }
+    if (!inDeletedSection) {
+        diagnostics.warn('missing-notes-section', 'No DELETED ENTITIES section found');
+    } else if (deletedNotesStart === -1) {
+        diagnostics.warn('missing-notes-section', 'No NOTES section found for deleted entities');
+    }
     
     // Parse current notes
     const currentNotes = {};
@@ -498,7 +719,6 @@ function createDXCCData(filePath, filterType = 'all') {
                 }
                 
                 currentNotes[`current_note_${noteNumber}`] = noteText;
-                console.log(`Found current note ${noteNumber}: ${noteText.substring(0, 50)}...`);
                 i = j - 1;
             }
         }
@@ -533,324 +753,2243 @@ function createDXCCData(filePath, filterType = 'all') {
                 }
                 
                 deletedNotes[`deleted_note_${noteNumber}`] = noteText;
-                console.log(`Found deleted note ${noteNumber}: ${noteText.substring(0, 50)}...`);
                 i = j - 1;
             }
         }
     }
     
-    console.log(`Notes parsing complete:`);
-    console.log(`- Current notes: ${Object.keys(currentNotes).length}`);
-    console.log(`- Deleted notes: ${Object.keys(deletedNotes).length}`);
+    diagnostics.info('notes-parsed', `Notes parsing complete: ${Object.keys(currentNotes).length} current, ${Object.keys(deletedNotes).length} deleted`);
     
-    // Parse zone notes
-    const zoneNotes = parseZone(lines);
+    return { entities, entityLines, symbolNotes, currentNotes, deletedNotes };
+}
+
+/**
+ * Check for legacy list format
+ * The 1995 "ARRL DXCC COUNTRIES LIST" has no entity code column and no underscore header row
+ * 
+ * @param {string[]} lines - All file lines
+ * @returns {boolean} Whether the file uses the legacy countries list format
+ */
+function isLegacyFormat(lines) {
+    const header = lines.slice(0, 20).join('\n');
+    return header.includes('DXCC COUNTRIES LIST') && !lines.some(line => line.includes('___________'));
+}
+
+/**
+ * Parse legacy symbol notes
+ * Extract "NOTE: @...", "NOTE: *...", "NOTE: #..." and "NOTE: &..." blocks, including continuation lines
+ * 
+ * @param {string[]} lines - All file lines
+ * @param {Object} diagnostics - Diagnostics collector
+ * @returns {Object} Symbol notes object
+ */
+function parseLegacySymbolNotes(lines, diagnostics) {
+    const symbolNotes = {};
     
-    // Count entities by continent
-    const continentStats = {};
-    entities.filter(e => e.isCurrent).forEach(entity => {
-        continentStats[entity.continent] = (continentStats[entity.continent] || 0) + 1;
-    });
+    for (let i = 0; i < lines.length; i++) {
+        const noteMatch = lines[i].trim().match(/^NOTE:\s*([@*#&])(.*)$/);
+        if (!noteMatch) continue;
+        
+        let noteText = `${noteMatch[1]}${noteMatch[2].trim()}`;
+        let j = i + 1;
+        // The "&" note runs straight into the table header, so stop after a full sentence
+        while (j < lines.length && lines[j].trim() && /^\s/.test(lines[j]) && !noteText.endsWith('.')) {
+            noteText += ' ' + lines[j].trim();
+            j++;
+        }
+        
+        const noteKey = LEGACY_SYMBOL_NOTES[noteMatch[1]];
+        symbolNotes[noteKey] = noteText;
+        diagnostics.info('symbol-note', `Found legacy symbol note ${noteMatch[1]} (${noteKey})`, i + 1);
+        i = j - 1;
+    }
     
-    // Build final data structure
-    // Apply filtering based on filterType
-    let filteredEntities = entities;
-    let filteredDescription = "Current and Deleted DXCC Entities";
+    return symbolNotes;
+}
+
+/**
+ * Parse legacy numbered notes
+ * Note numbers start at column 0, continuation lines are indented
+ * 
+ * @param {string[]} lines - All file lines
+ * @param {number} startIndex - Line index after the "NOTES:" title
+ * @param {string} notePrefix - Note key prefix ('current_note_' or 'deleted_note_')
+ * @returns {Object} Notes mapping
+ */
+function parseLegacyNumberedNotes(lines, startIndex, notePrefix) {
+    const notes = {};
     
-    if (filterType === 'current') {
-        filteredEntities = entities.filter(entity => entity.isCurrent === true);
-        filteredDescription = "Current DXCC Entities";
-        console.log(`Filtered to current entities only: ${filteredEntities.length} entities`);
-    } else if (filterType === 'deleted') {
-        filteredEntities = entities.filter(entity => entity.isCurrent === false);
-        filteredDescription = "Deleted DXCC Entities";
-        console.log(`Filtered to deleted entities only: ${filteredEntities.length} entities`);
+    for (let i = startIndex; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+        
+        if (!trimmed) continue;
+        
+        // Stop at the "^" note, section totals or the next section title
+        if (trimmed.startsWith('^') || trimmed.includes('Zone Notes') ||
+            trimmed.includes('Countries Total') || trimmed.includes('DELETED COUNTRIES')) {
+            break;
+        }
+        
+        const noteMatch = line.match(/^(\d+)\s+(.+)$/);
+        if (!noteMatch) continue;
+        
+        let noteText = noteMatch[2].trim();
+        let j = i + 1;
+        while (j < lines.length && lines[j].trim() && /^\s/.test(lines[j])) {
+            noteText += ' ' + lines[j].trim();
+            j++;
+        }
+        
+        notes[`${notePrefix}${parseInt(noteMatch[1])}`] = noteText;
+        i = j - 1;
     }
     
-    // Recalculate statistics for filtered data
-    const filteredCurrentCount = filteredEntities.filter(e => e.isCurrent === true).length;
-    const filteredDeletedCount = filteredEntities.filter(e => e.isCurrent === false).length;
+    return notes;
+}
+
+/**
+ * Split a legacy row into prefix and remaining text
+ * The country column starts at column 20, but long prefixes such as
+ * "DA-DL,Y2-Y9(12)*Fed. Rep. of Germany" run into it
+ * 
+ * @param {string} line - Raw row line
+ * @returns {Object} Prefix column text and remaining text
+ */
+function splitLegacyPrefix(line) {
+    let end = Math.min(20, line.length);
     
-    const dxccData = {
-        metadata: {
-            title: "ARRL DXCC List",
-            edition: edition,
-            totalEntities: filteredEntities.length,
-            honorRollThreshold: 331,
-            description: filteredDescription,
-            filterType: filterType,
-            notes: {
-                ...symbolNotes,
-                ...(filterType !== 'deleted' ? currentNotes : {}),
-                ...(filterType !== 'current' ? deletedNotes : {})
-            },
-            continents: CONTINENT_CODES,
-            zoneNotes: zoneNotes,
-            generatedAt: new Date().toISOString(),
-            sourceFile: path.basename(filePath),
-            version: "1.1.0",
-            author: "BG6LH",
-            statistics: {
-                totalParsed: filteredEntities.length,
-                currentEntities: filteredCurrentCount,
-                deletedEntities: filteredDeletedCount,
-                continents: continentStats,
-                notesStatistics: {
-                    currentNotesCount: filterType !== 'deleted' ? Object.keys(currentNotes).length : 0,
-                    deletedNotesCount: filterType !== 'current' ? Object.keys(deletedNotes).length : 0,
-                    zoneNotesCount: Object.keys(zoneNotes).length
-                }
-            }
-        },
-        entities: filteredEntities
-    };
+    if (line.length > end && line[end - 1] !== ' ' && line[end] !== ' ') {
+        // Extend over prefix characters, stopping before a capitalised word ("Fed.", "Macedonia")
+        while (end < line.length && /[A-Z0-9,\-\/\*#^&@()]/.test(line[end]) && !/[a-z]/.test(line[end + 1] || '')) {
+            end++;
+        }
+    }
     
-    return dxccData;
+    return {
+        prefix: line.slice(0, end).trim(),
+        rest: line.slice(end).trim()
+    };
 }
 
 /**
- * Parse command line arguments
- * @returns {Object} Parsed arguments
+ * Split a legacy zone cell where the ITU and CQ columns ran together
+ * "6,7,83,4,5" (United States) is ITU 6,7,8 and CQ 3,4,5
+ * 
+ * @param {string} zoneToken - Merged zone text
+ * @returns {Object|null} ITU and CQ zone text, or null if no split gives two ascending lists
  */
-function parseArguments() {
-    const args = process.argv.slice(2);
-    let inputFile = null;
-    let outputFile = null;
-    let filterType = 'all';
+function splitMergedZones(zoneToken) {
+    const items = zoneToken.split(',');
+    const isAscending = list => list.every((value, index) => index === 0 || Number(value) > Number(list[index - 1]));
     
-    // Show help if no arguments provided
-    if (args.length === 0) {
-        showHelp();
-        process.exit(0);
+    for (let i = 0; i < items.length; i++) {
+        if (!/^\d\d$/.test(items[i])) continue;
+        
+        const itu = [...items.slice(0, i), items[i][0]];
+        const cq = [items[i][1], ...items.slice(i + 1)];
+        if (isAscending(itu) && isAscending(cq)) {
+            return { zoneITU: itu.join(','), zoneCQ: cq.join(',') };
+        }
     }
     
-    // Parse arguments - options first, then files
-    for (let i = 0; i < args.length; i++) {
-        const arg = args[i];
+    return null;
+}
+
+/**
+ * Parse legacy countries list
+ * Parse the 1995 "ARRL DXCC COUNTRIES LIST" format, which has no entity code column,
+ * wraps long rows onto a second line and separates multiple continents with "/"
+ * 
+ * @param {string[]} lines - All file lines
+ * @param {Object} zoneNotes - Zone letter to zone list mapping
+ * @param {Object} diagnostics - Diagnostics collector
+ * @returns {Object} Entities, their source line numbers (Map), symbol notes, current notes and deleted notes
+ */
+function parseLegacyCountriesList(lines, zoneNotes, diagnostics) {
+    diagnostics.info('legacy-format', 'Legacy DXCC COUNTRIES LIST format detected');
+    
+    const symbolNotes = {
+        ...parseLegacySymbolNotes(lines, diagnostics),
+        ...parseSymbolNotes(lines, 0, diagnostics)
+    };
+    
+    const entities = [];
+    const entityLines = new Map();
+    let inDeletedSection = false;
+    let inTable = false;
+    let currentNotesStart = -1;
+    let deletedNotesStart = -1;
+    let pending = null;
+    
+    const rowPattern = /^(.*?)\s*(?<=^|[\s.a-z)])((?:AF|AN|AS|EU|NA|OC|SA)(?:\/(?:AF|AN|AS|EU|NA|OC|SA))*)\s+(\S+)(?:\s+(\S+))?$/;
+    
+    const pushEntity = (line, prefix, entity, continent, zoneITU, zoneCQ) => {
+        const notes = extractPrefixNotes(prefix, !inDeletedSection);
+        const cleanPrefix = prefix.replace(/[\*\^\#@&]/g, '').replace(/\([^)]*\)/g, '').replace(/\s+/g, '');
         
-        if (arg === '--all') {
-            filterType = 'all';
-        } else if (arg === '--current') {
-            filterType = 'current';
-        } else if (arg === '--deleted') {
-            filterType = 'deleted';
-        } else if (arg === '--help' || arg === '-h') {
-            showHelp();
-            process.exit(0);
-        } else if (arg.startsWith('--')) {
-            // Check for unknown option parameters
-            console.error(`❌ Error: Unknown option '${arg}'`);
-            console.error(`💡 Supported options: --all, --current, --deleted, --help`);
-            process.exit(1);
-        } else {
-            // This is a file argument
-            if (!inputFile) {
-                // Validate input file format
-                if (!arg.endsWith('.txt')) {
-                    console.error(`❌ Error: Input file must be in .txt format, current input: '${arg}'`);
-                    console.error(`💡 Example: 2022_Current_Deleted.txt`);
-                    process.exit(1);
-                }
-                
-                // Validate input file existence
-                if (!fs.existsSync(arg)) {
-                    console.error(`❌ Error: Input file does not exist: '${arg}'`);
-                    
-                    // Provide file suggestions
-                    const dir = path.dirname(arg) || '.';
-                    try {
-                        const files = fs.readdirSync(dir)
-                            .filter(file => file.endsWith('.txt') && 
-                                   (file.toLowerCase().includes('current') || 
-                                    file.toLowerCase().includes('deleted') ||
-                                    file.toLowerCase().includes('dxcc')))
-                            .slice(0, 5);
-                        
-                        if (files.length > 0) {
-                            console.error(`💡 Possible files in directory:`);
-                            files.forEach(file => {
-                                console.error(`   - ${file}`);
-                            });
-                        }
-                    } catch (e) {
-                        // Ignore directory read errors
-                    }
-                    
-                    process.exit(1);
-                }
-                
-                inputFile = arg;
-            } else if (!outputFile) {
-                // Validate output file format and ensure it's just a filename
-                if (!arg.endsWith('.json')) {
-                    console.error(`❌ Error: Output file must be in .json format, current input: '${arg}'`);
-                    console.error(`💡 Example: dxcc_entities.json`);
-                    process.exit(1);
+        const entityObj = {
+            prefix: cleanPrefix,
+            prefixes: expandPrefix(cleanPrefix),
+            entity: entity,
+            continent: continent.replace(/\//g, ','),
+            zoneITU: zoneITU,
+            zoneCQ: zoneCQ,
+            zonesITU: expandZones(zoneITU, zoneNotes),
+            zonesCQ: expandZones(zoneCQ, zoneNotes),
+            entityCode: null,
+            notes: notes,
+            isCurrent: !inDeletedSection
+        };
+        entities.push(entityObj);
+        entityLines.set(entityObj, line);
+    };
+    
+    // A row still waiting for its CQ zone line gets none; try to split a merged zone cell
+    const flushPending = () => {
+        if (pending && pending.zoneITU) {
+            const split = splitMergedZones(pending.zoneITU);
+            if (split) {
+                pushEntity(pending.line, pending.prefix, pending.entity, pending.continent, split.zoneITU, split.zoneCQ);
+            } else {
+                diagnostics.warn('missing-cq-zone', `No CQ zone found for legacy entity: ${pending.entity}`, pending.line);
+                pushEntity(pending.line, pending.prefix, pending.entity, pending.continent, pending.zoneITU, '');
+            }
+        } else if (pending) {
+            diagnostics.warn('incomplete-row', `Incomplete legacy row: "${pending.prefix} ${pending.entity}"`, pending.line);
+        }
+        pending = null;
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/\s+$/, '');
+        const trimmed = line.trim();
+        
+        if (trimmed.includes('DELETED COUNTRIES')) {
+            flushPending();
+            inDeletedSection = true;
+            inTable = false;
+            continue;
+        }
+        
+        if (trimmed === 'NOTES:') {
+            flushPending();
+            if (inDeletedSection) {
+                deletedNotesStart = i + 1;
+            } else {
+                currentNotesStart = i + 1;
+            }
+            inTable = false;
+            continue;
+        }
+        
+        // Table rows start after the "Prefix  Country  Cont." header
+        if (trimmed.includes('Prefix') && trimmed.includes('Country')) {
+            diagnostics.info('skipped-header', `Skipped header: "${trimmed}"`, i + 1);
+            inTable = true;
+            continue;
+        }
+        
+        if (!inTable || !trimmed) continue;
+        
+        // Zone-only continuation line, e.g. the CQ zones of Italy
+        if (/^[\d,\-()A-Z]+$/.test(trimmed) && /^\s{40,}/.test(line) && pending && pending.zoneITU) {
+            pushEntity(pending.line, pending.prefix, pending.entity, pending.continent, pending.zoneITU, trimmed);
+            pending = null;
+            continue;
+        }
+        
+        if (pending && pending.zoneITU) {
+            flushPending();
+        }
+        
+        const { prefix, rest } = splitLegacyPrefix(line);
+        const rowMatch = rest.match(rowPattern);
+        
+        if (pending && !pending.zoneITU) {
+            // Second line of a wrapped row: joins either the prefix or the country name
+            const joinedPrefix = prefix
+                ? pending.prefix + (pending.prefix.endsWith(',') ? '' : ',') + prefix
+                : pending.prefix;
+            const namePart = rowMatch ? rowMatch[1] : rest;
+            const joinedName = [pending.entity, namePart].filter(Boolean).join(' ');
+            
+            if (rowMatch) {
+                const [, , continent, zoneITU, zoneCQ] = rowMatch;
+                if (zoneCQ) {
+                    pushEntity(pending.line, joinedPrefix, joinedName, continent, zoneITU, zoneCQ);
+                    pending = null;
+                } else {
+                    pending = { prefix: joinedPrefix, entity: joinedName, continent, zoneITU, line: pending.line };
                 }
-                
-                // Extract just the filename (ignore any path)
-                const filename = path.basename(arg);
-                // Always place output file in script directory
-                outputFile = path.join(__dirname, filename);
             } else {
-                // Too many file arguments
-                console.error(`❌ Error: Too many arguments, unrecognized parameter: '${arg}'`);
-                console.error(`💡 Use --help to see correct usage`);
-                process.exit(1);
+                pending = { prefix: joinedPrefix, entity: joinedName, line: pending.line };
             }
+            continue;
+        }
+        
+        if (rowMatch) {
+            const [, entityName, continent, zoneITU, zoneCQ] = rowMatch;
+            if (zoneCQ) {
+                pushEntity(i + 1, prefix, entityName.trim(), continent, zoneITU, zoneCQ);
+                pending = null;
+            } else {
+                pending = { prefix, entity: entityName.trim(), continent, zoneITU, line: i + 1 };
+            }
+        } else if (prefix) {
+            pending = { prefix, entity: rest, line: i + 1 };
+        } else {
+            diagnostics.warn('unmatched-line', `Unmatched entity line: "${trimmed}"`, i + 1);
         }
     }
+    flushPending();
     
-    // Set default input file if not provided
-    if (!inputFile) {
-        const defaultFile = path.join(__dirname, '2022_Current_Deleted.txt');
-        if (!fs.existsSync(defaultFile)) {
-            console.error(`❌ Error: Default input file does not exist: ${defaultFile}`);
-            console.error(`💡 Please specify a valid input file`);
-            process.exit(1);
-        }
-        inputFile = defaultFile;
+    const currentNotes = currentNotesStart > 0 ? parseLegacyNumberedNotes(lines, currentNotesStart, 'current_note_') : {};
+    const deletedNotes = deletedNotesStart > 0 ? parseLegacyNumberedNotes(lines, deletedNotesStart, 'deleted_note_') : {};
+    
+    if (currentNotesStart === -1) {
+        diagnostics.warn('missing-notes-section', 'No NOTES section found for current countries');
     }
+    if (!inDeletedSection) {
+        diagnostics.warn('missing-notes-section', 'No DELETED COUNTRIES section found');
+    } else if (deletedNotesStart === -1) {
+        diagnostics.warn('missing-notes-section', 'No NOTES section found for deleted countries');
+    }
+    diagnostics.info('entities-parsed', `Legacy parsing complete: ${entities.length} entities, ${Object.keys(currentNotes).length} current notes, ${Object.keys(deletedNotes).length} deleted notes`);
     
-    return { inputFile, outputFile, filterType };
+    return { entities, entityLines, symbolNotes, currentNotes, deletedNotes };
 }
 
 /**
- * Generate output filename based on input file and filter type
- * @param {string} inputFile - Input file path
- * @param {string} filterType - Filter type
- * @param {string} edition - Edition string
- * @returns {string} Generated output filename
+ * Abbreviations and former names used in entity names of older editions
  */
-function generateOutputFilename(inputFile, filterType, edition) {
-    // Always use script directory for output files
-    const scriptDir = __dirname;
+const NAME_ABBREVIATIONS = {
+    'n': 'north',
+    's': 'south',
+    'e': 'east',
+    'w': 'west',
+    'c': 'central',
+    'rep': 'republic',
+    'dem': 'democratic',
+    'fed': 'federal',
+    'sov': 'sovereign',
+    'mil': 'military',
+    'neut': 'neutral',
+    'frg': 'federal republic germany',
+    'gdr': 'german democratic republic',
+    'belau': 'palau'
+};
+
+/**
+ * Normalize entity name for matching
+ * 
+ * @param {string} name - Entity name
+ * @returns {string[]} Lowercase name words
+ */
+function normalizeEntityName(name) {
+    return name
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !['is', 'i', 'and', 'of', 'the'].includes(word))
+        .flatMap(word => (NAME_ABBREVIATIONS[word] || word).split(' '));
+}
+
+/**
+ * Score how similar two entity names are
+ * 
+ * @param {string} name - First entity name
+ * @param {string} other - Second entity name
+ * @returns {number} 3 for equal names, otherwise up to 2 by shared words
+ */
+function scoreNameMatch(name, other) {
+    const words = normalizeEntityName(name);
+    const otherWords = normalizeEntityName(other);
+    if (words.join(' ') === otherWords.join(' ')) {
+        return 3;
+    }
     
-    // Extract year from edition (e.g., "February 2022" -> "2022")
-    const yearMatch = edition.match(/(\d{4})/);
-    const year = yearMatch ? yearMatch[1] : 'unknown';
+    const shared = words.filter(word => otherWords.includes(word)).length;
+    const total = new Set([...words, ...otherWords]).size;
+    return total > 0 ? 2 * shared / total : 0;
+}
+
+/**
+ * Score how well a legacy entity matches a reference entity
+ * Name words, overlapping prefixes, zones and continent all add to the score
+ * 
+ * @param {Object} legacy - Entity parsed from the legacy list
+ * @param {Object} reference - Entity from the reference edition
+ * @returns {number} Match score
+ */
+function scoreEntityMatch(legacy, reference) {
+    // "Bonaire,Curacao (Neth. Antilles)" is "Bonaire, Curacao" without the parenthetical
+    const withoutParentheses = name => name.replace(/\([^)]*\)/g, '');
+    let score = Math.max(
+        scoreNameMatch(legacy.entity, reference.entity),
+        scoreNameMatch(withoutParentheses(legacy.entity), withoutParentheses(reference.entity))
+    );
     
-    // Validate year reasonableness
-    if (year === 'unknown' || parseInt(year) < 1900 || parseInt(year) > new Date().getFullYear() + 10) {
-        console.warn(`⚠️  Warning: Year extracted from edition info may be incorrect: ${year}`);
+    // "1A0" in 1995 and "1A" later still refer to the same allocation
+    const referencePrefixes = reference.prefixes || expandPrefix(reference.prefix);
+    const prefixOverlap = legacy.prefixes.some(prefix =>
+        referencePrefixes.some(other => prefix.startsWith(other) || other.startsWith(prefix)));
+    if (prefixOverlap) {
+        score += 2;
     }
     
-    let filename;
-    switch (filterType) {
-        case 'current':
-            filename = `dxcc_current_${year}.json`;
-            break;
-        case 'deleted':
-            filename = `dxcc_deleted_${year}.json`;
-            break;
-        default:
-            filename = `dxcc_current_deleted_${year}.json`;
+    if (legacy.zonesITU.join() === (reference.zonesITU || []).join() &&
+        legacy.zonesCQ.join() === (reference.zonesCQ || []).join()) {
+        score += 1;
     }
-    
-    const outputPath = path.join(scriptDir, filename);
-    
-    // Check if output file already exists
-    if (fs.existsSync(outputPath)) {
-        console.warn(`⚠️  Warning: Output file already exists and will be overwritten: ${outputPath}`);
+    if (legacy.continent === reference.continent) {
+        score += 0.5;
+    }
+    if (legacy.isCurrent === reference.isCurrent) {
+        score += 0.5;
     }
     
-    return outputPath;
+    return score;
 }
 
 /**
- * Show help information
+ * Assign entity codes to legacy entities
+ * The 1995 list has no entity code column, so codes are taken from a newer edition
+ * by name/prefix matching. Each reference entity is assigned at most once, best match first.
+ * 
+ * @param {Object[]} entities - Entities parsed from the legacy list
+ * @param {Object} referenceData - DXCC data of a newer edition
+ * @param {Object} diagnostics - Diagnostics collector
+ * @returns {Object} Reference information for metadata
  */
-function showHelp() {
-    console.log('DXCC Entity Data Parser v1.1.0');
-    console.log('Author: BG6LH');
-    console.log('');
-    console.log('Usage:');
-    console.log('  node dxcc-txt2json.js [options] [input_file] [output_file]');
-    console.log('');
-    console.log('Options:');
-    console.log('  --all      Output all entities (current and deleted) [default]');
-    console.log('  --current  Output only current entities');
-    console.log('  --deleted  Output only deleted entities');
-    console.log('  --help, -h Show this help message');
-    console.log('');
-    console.log('Examples:');
-    console.log('  # Output all entities (default)');
-    console.log('  node dxcc-txt2json.js 2022_Current_Deleted.txt');
-    console.log('  node dxcc-txt2json.js --all 2022_Current_Deleted.txt');
-    console.log('');
-    console.log('  # Output only current entities');
-    console.log('  node dxcc-txt2json.js --current 2022_Current_Deleted.txt');
-    console.log('');
-    console.log('  # Output only deleted entities');
-    console.log('  node dxcc-txt2json.js --deleted 2022_Current_Deleted.txt');
-    console.log('');
-    console.log('  # Specify custom output filename (will be saved in script directory)');
-    console.log('  node dxcc-txt2json.js --current 2022_Current_Deleted.txt my_output.json');
-    console.log('');
-    console.log('  # Process files from subdirectory');
-    console.log('  node dxcc-txt2json.js --all txt/2013_Current_Deleted.txt');
-    console.log('');
-    console.log('Arguments:');
-    console.log('  input_file   Path to the DXCC text file (.txt format)');
-    console.log('  output_file  Output JSON filename (.json format) [optional]');
-    console.log('');
-    console.log('Notes:');
-    console.log('  - Options must be specified before file arguments');
-    console.log('  - All output files are saved in the script directory');
-    console.log('  - If output file is not specified, it will be auto-generated');
-    console.log('  - Input file can be in any directory, but must exist');
-    console.log('  - Output filename should not include path (path will be ignored)');
+function assignLegacyEntityCodes(entities, referenceData, diagnostics) {
+    const candidates = [];
+    
+    entities.forEach((legacy, legacyIndex) => {
+        referenceData.entities.forEach(reference => {
+            const score = scoreEntityMatch(legacy, reference);
+            // Require either a name or a prefix match, not just equal zones
+            if (score >= 3) {
+                candidates.push({ legacyIndex, reference, score });
+            }
+        });
+    });
+    
+    candidates.sort((a, b) => b.score - a.score);
+    
+    const usedCodes = new Set();
+    candidates.forEach(({ legacyIndex, reference }) => {
+        const legacy = entities[legacyIndex];
+        if (legacy.entityCode !== null || usedCodes.has(reference.entityCode)) return;
+        
+        legacy.entityCode = reference.entityCode;
+        usedCodes.add(reference.entityCode);
+    });
+    
+    // The 1995 list shows some entities twice during prefix changes (Belarus as "EU, EV, EW" and "UC"),
+    // so strong matches may reuse a code that is already taken; mergeLegacyDuplicates joins those rows
+    candidates.forEach(({ legacyIndex, reference, score }) => {
+        const legacy = entities[legacyIndex];
+        if (legacy.entityCode === null && score >= 4) {
+            legacy.entityCode = reference.entityCode;
+        }
+    });
+    
+    const unmatched = entities.filter(entity => entity.entityCode === null).map(entity => entity.entity);
+    diagnostics.info('entity-codes', `Assigned entity codes from ${referenceData.metadata.edition}: ${entities.length - unmatched.length} matched, ${unmatched.length} unmatched`);
+    unmatched.forEach(name => diagnostics.warn('no-entity-code', `No entity code found for legacy entity: ${name}`));
+    
+    return {
+        sourceFile: referenceData.metadata.sourceFile,
+        edition: referenceData.metadata.edition,
+        unmatched: unmatched
+    };
 }
 
-// Main execution
-if (import.meta.url === `file://${process.argv[1]}`) {
-    try {
-        const { inputFile, outputFile, filterType } = parseArguments();
-        
-        console.log('='.repeat(60));
-        console.log('DXCC Entity Data Parser v1.1.0');
-        console.log('Author: BG6LH');
-        console.log('='.repeat(60));
-        
-        const dxccData = createDXCCData(inputFile, filterType);
-        
-        // Generate output filename if not specified
-        const finalOutputFile = outputFile || generateOutputFilename(inputFile, filterType, dxccData.metadata.edition);
+/**
+ * Merge legacy rows that were assigned the same entity code
+ * The 1995 list shows the former Soviet republics twice during the prefix change (Armenia as "EK" and
+ * "UG"), so rows of one section sharing a code become one entity with the prefixes and notes of both.
+ * Rows with the same continent and zones are the expected case and reported as info; rows that differ
+ * may have been matched to the wrong code and are reported as duplicate-legacy-code.
+ * 
+ * @param {Object[]} entities - Entities parsed from the legacy list (modified in place)
+ * @param {Map} entityLines - Source line number of each entity
+ * @param {Object} diagnostics - Diagnostics collector
+ */
+function mergeLegacyDuplicates(entities, entityLines, diagnostics) {
+    const firstRows = new Map();
+    const merged = entities.filter(entity => {
+        if (entity.entityCode === null) return true;
         
-        // Write JSON file
-        fs.writeFileSync(finalOutputFile, JSON.stringify(dxccData, null, 2), 'utf-8');
+        const key = `${entity.isCurrent}:${entity.entityCode}`;
+        const first = firstRows.get(key);
+        if (!first) {
+            firstRows.set(key, entity);
+            return true;
+        }
         
-        console.log('\n' + '='.repeat(60));
-        console.log('✅ DXCC data generation completed!');
-        console.log(`📁 Input file: ${inputFile}`);
-        console.log(`📄 Output file: ${finalOutputFile}`);
-        console.log(`🔍 Filter type: ${filterType}`);
-        console.log(`📊 Statistics:`);
-        console.log(`   - Total entities: ${dxccData.entities.length}`);
-        console.log(`   - Current entities: ${dxccData.metadata.statistics.currentEntities}`);
-        console.log(`   - Deleted entities: ${dxccData.metadata.statistics.deletedEntities}`);
-        console.log(`   - Current notes: ${dxccData.metadata.statistics.notesStatistics.currentNotesCount}`);
+        const samePlace = entity.continent === first.continent &&
+            entity.zonesITU.join() === first.zonesITU.join() && entity.zonesCQ.join() === first.zonesCQ.join();
+        const report = samePlace ? diagnostics.info : diagnostics.warn;
+        report(samePlace ? 'legacy-merge' : 'duplicate-legacy-code', `${entity.entity} (${entity.prefix}) has entity code ${entity.entityCode} like ${first.entity} (${first.prefix}) on line ${entityLines.get(first)}; merged into one entity`, entityLines.get(entity) || null);
+        first.prefix = `${first.prefix},${entity.prefix}`;
+        first.prefixes = [...new Set([...first.prefixes, ...entity.prefixes])];
+        first.notes = [...new Set([...first.notes, ...entity.notes])];
+        return false;
+    });
+    
+    entities.splice(0, entities.length, ...merged);
+}
+
+/**
+ * Load reference data for legacy entity codes
+ * Uses the given file (.txt or .json), or the newest non-legacy .txt edition next to the input file
+ * 
+ * @param {string} inputFile - Legacy input file path
+ * @param {string|null} referenceFile - Optional reference file path
+ * @returns {Object|null} Reference DXCC data, or null when none is available
+ */
+function loadReferenceData(inputFile, referenceFile) {
+    if (referenceFile) {
+        if (referenceFile.endsWith('.json')) {
+            return JSON.parse(fs.readFileSync(referenceFile, 'utf-8'));
+        }
+        return parseDXCCText(fs.readFileSync(referenceFile), { sourceFile: referenceFile }).data;
+    }
+    
+    const dir = path.dirname(inputFile);
+    const yearOf = file => parseInt((file.match(/(\d{4})/) || [0, 0])[1]);
+    const editions = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.txt') && path.join(dir, file) !== path.join(dir, path.basename(inputFile)))
+        .sort((a, b) => yearOf(b) - yearOf(a));
+    
+    for (const file of editions) {
+        const filePath = path.join(dir, file);
+        const content = fs.readFileSync(filePath);
+        if (!isLegacyFormat(normalizeInput(content).lines)) {
+            console.log(`Using reference edition for entity codes: ${filePath}`);
+            return parseDXCCText(content, { sourceFile: filePath }).data;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Find the entity code a successor reference points to
+ * Matches the entity name first, then the prefix; shared name words break prefix ties
+ * ("San Andres (HK0)" is San Andres & Providencia, not Malpelo I.)
+ * 
+ * @param {Object} ref - Successor reference ({entity, prefix})
+ * @param {Object[]} entities - All entities of the edition
+ * @returns {number|null} Entity code, or null if no single entity matches
+ */
+function resolveSuccessorCode(ref, entities) {
+    const refName = normalizeEntityName(ref.entity);
+    const byName = entities.filter(entity => normalizeEntityName(entity.entity).join(' ') === refName.join(' '));
+    if (byName.length > 0) {
+        return (byName.find(entity => entity.isCurrent) || byName[0]).entityCode;
+    }
+    
+    if (!ref.prefix) return null;
+    
+    const refPrefixes = expandPrefix(ref.prefix);
+    const byPrefix = entities.filter(entity => entity.prefixes.some(prefix =>
+        refPrefixes.some(refPrefix => prefix.startsWith(refPrefix))));
+    if (byPrefix.length === 1) {
+        return byPrefix[0].entityCode;
+    }
+    
+    const byWords = byPrefix.filter(entity =>
+        normalizeEntityName(entity.entity).some(word => refName.includes(word)));
+    return byWords.length === 1 ? byWords[0].entityCode : null;
+}
+
+/**
+ * Add validity fields to entities from their numbered notes
+ * validFrom/validUntil give the overall span (null when open-ended), validPeriods keep
+ * split periods such as Eritrea's, and successors name the entities contacts count for instead.
+ * 
+ * @param {Object[]} entities - All parsed entities (modified in place)
+ * @param {Object} notes - Numbered notes mapping
+ * @param {Object} diagnostics - Diagnostics collector
+ */
+function applyNoteValidity(entities, notes, diagnostics) {
+    const parsedNotes = {};
+    Object.keys(notes).forEach(key => {
+        parsedNotes[key] = parseNoteValidity(notes[key]);
+    });
+    
+    entities.forEach(entity => {
+        const validity = entity.notes
+            .filter(key => parsedNotes[key])
+            .map(key => parsedNotes[key]);
+        const periods = validity.flatMap(item => item.periods);
+        const froms = periods.map(period => period.from);
+        const untils = periods.map(period => period.until);
+        
+        entity.validFrom = periods.length > 0 && !froms.includes(null) ? froms.sort()[0] : null;
+        entity.validUntil = periods.length > 0 && !untils.includes(null) ? untils.sort()[untils.length - 1] : null;
+        entity.validPeriods = periods;
+        entity.successors = validity.flatMap(item => item.successors).map(ref => ({
+            entity: ref.entity,
+            prefix: ref.prefix,
+            entityCode: resolveSuccessorCode(ref, entities),
+            from: ref.from,
+            until: ref.until
+        }));
+    });
+    
+    const withValidity = entities.filter(entity => entity.validPeriods.length > 0).length;
+    const unresolved = entities.flatMap(entity => entity.successors).filter(ref => ref.entityCode === null);
+    diagnostics.info('validity', `Validity dates found for ${withValidity} entities`);
+    unresolved.forEach(ref => {
+        diagnostics.warn('unresolved-successor', `Successor entity not found: ${ref.entity}${ref.prefix ? ` (${ref.prefix})` : ''}`);
+    });
+}
+
+/**
+ * Check the parsed rows against the rest of the list
+ * Reports prefixes that refer to a numbered note missing from NOTES and entity codes listed twice.
+ * 
+ * @param {Object[]} entities - All parsed entities
+ * @param {Map} entityLines - Source line number of each entity
+ * @param {Object} notes - Numbered notes mapping
+ * @param {Object} diagnostics - Diagnostics collector
+ */
+function checkEntityRows(entities, entityLines, notes, diagnostics) {
+    const codeLines = new Map();
+    
+    entities.forEach(entity => {
+        const line = entityLines.get(entity) || null;
+        
+        entity.notes
+            .filter(key => /_note_\d+$/.test(key) && !notes[key])
+            .forEach(key => {
+                const section = key.startsWith('current') ? 'current' : 'deleted';
+                diagnostics.warn('missing-note', `${entity.entity} (${entity.prefix}) refers to ${section} note (${key.split('_').pop()}), which is not in NOTES`, line);
+            });
+        
+        if (entity.entityCode === null) return;
+        if (codeLines.has(entity.entityCode)) {
+            diagnostics.warn('duplicate-entity-code', `Entity code ${entity.entityCode} of ${entity.entity} is already used on line ${codeLines.get(entity.entityCode)}`, line);
+        } else {
+            codeLines.set(entity.entityCode, line);
+        }
+    });
+}
+
+/**
+ * Read the prefix cross reference file
+ * Uses the given file, or "Prefix Cross References.md" next to this script
+ * 
+ * @param {string|null} crossReferenceFile - Optional cross reference file path
+ * @returns {string|null} File content, or null when the default file is missing
+ */
+function readCrossReferenceFile(crossReferenceFile) {
+    const filePath = crossReferenceFile || path.join(__dirname, 'Prefix Cross References.md');
+    if (!fs.existsSync(filePath)) {
+        if (crossReferenceFile) {
+            throw new Error(`Cross reference file not found: ${crossReferenceFile}`);
+        }
+        return null;
+    }
+    
+    return fs.readFileSync(filePath, 'utf-8');
+}
+
+/**
+ * Parse DXCC list text
+ * Library entry point: takes the list as a string or Buffer, writes nothing to the console and
+ * never exits. Problems are returned as diagnostics ({level, code, message, line}) with 1-based line numbers.
+ * 
+ * @param {string|Buffer} input - Content of an ARRL DXCC list
+ * @param {Object} options - Parser options
+ * @param {string} options.filterType - Filter type: 'all' [default], 'current', 'deleted'
+ * @param {string} options.sourceFile - File name recorded in metadata; its year is used when the list has no edition date
+ * @param {Object} options.referenceData - Parsed newer edition used to fill in entity codes for legacy lists
+ * @param {string|Buffer|false} options.crossReferences - Content of "Prefix Cross References.md" [default: the bundled file]; false to skip
+ * @param {boolean} options.strict - Report unmatched and fallback rows, missing notes and duplicate entity codes as errors
+ * @param {string} options.timestamp - generatedAt: 'now' [default], 'edition' (first day of the edition month) or an ISO 8601 date
+ * @returns {{data: Object, diagnostics: Object[]}} Parsed DXCC data and diagnostics
+ */
+function parseDXCCText(input, options = {}) {
+    if (input === null || input === undefined || (typeof input !== 'string' && !Buffer.isBuffer(input))) {
+        throw new TypeError('DXCC list input must be a string or Buffer');
+    }
+    
+    const filterType = options.filterType || 'all';
+    if (!['all', 'current', 'deleted'].includes(filterType)) {
+        throw new Error(`Invalid filter type: '${filterType}' (expected all, current or deleted)`);
+    }
+    
+    const sourceFile = options.sourceFile ? path.basename(options.sourceFile) : null;
+    const diagnostics = createDiagnostics(options.strict === true);
+    // Decode, strip the BOM, convert line endings to LF and expand tabs
+    const { lines, normalization } = normalizeInput(input);
+    if (normalization.encoding && normalization.encoding !== 'utf-8') {
+        diagnostics.info('encoding', `Decoded as ${normalization.encoding}`);
+    }
+    
+    let edition = "Unknown Edition";
+    for (let i = 0; i < Math.min(10, lines.length); i++) {
+        const line = lines[i].trim();
+        // Match patterns like "February 2022", "January 2013 Edition", etc.
+        const editionMatch = line.match(/(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{4})(?:\s+Edition)?/i);
+        if (editionMatch) {
+            edition = editionMatch[0];
+            diagnostics.info('edition', `Found edition: ${edition}`, i + 1);
+            break;
+        }
+    }
+    
+    // Legacy lists carry no edition date; fall back to the year in the file name
+    if (edition === "Unknown Edition" && sourceFile) {
+        const fileYearMatch = sourceFile.match(/(19|20)\d{2}/);
+        if (fileYearMatch) {
+            edition = fileYearMatch[0];
+            diagnostics.info('edition', `Edition taken from file name: ${edition}`);
+        }
+    }
+    
+    // Resolve the timestamp before parsing, so a bad option fails fast
+    const timestamp = resolveTimestamp(options.timestamp, edition);
+    
+    // Parse zone notes (needed to resolve zone letters on entity rows)
+    // Zone notes and aliases share "Prefix Cross References.md"
+    const crossReferenceContent = options.crossReferences !== undefined
+        ? (options.crossReferences ? String(options.crossReferences) : null)
+        : readCrossReferenceFile(null);
+    if (!crossReferenceContent) {
+        diagnostics.warn('missing-cross-references', 'No prefix cross references given; zone notes and aliases may be empty');
+    }
+    const zoneNotes = parseZone(lines, crossReferenceContent, diagnostics);
+    const statedTotals = parseListTotals(lines);
+    
+    const legacyFormat = isLegacyFormat(lines);
+    const { entities, entityLines, symbolNotes, currentNotes, deletedNotes } = legacyFormat
+        ? parseLegacyCountriesList(lines, zoneNotes, diagnostics)
+        : parseCurrentDeletedList(lines, zoneNotes, diagnostics);
+    // Call-area ranges leave out the call areas other entities name ("UA2" of Kaliningrad)
+    expandEntityPrefixes(entities).forEach((prefixes, index) => {
+        entities[index].prefixes = prefixes;
+    });
+    // Fill in entity codes for legacy lists from a newer edition
+    let entityCodeReference = null;
+    if (legacyFormat) {
+        if (options.referenceData) {
+            entityCodeReference = assignLegacyEntityCodes(entities, options.referenceData, diagnostics);
+            mergeLegacyDuplicates(entities, entityLines, diagnostics);
+        } else {
+            diagnostics.warn('no-reference', 'No newer edition found to assign entity codes; entityCode will be null');
+        }
+    }
+    // Runs after the legacy entity codes are assigned, so their duplicates are reported too
+    checkEntityRows(entities, entityLines, { ...currentNotes, ...deletedNotes }, diagnostics);
+    
+    // Validity dates and successors come from the numbered notes
+    applyNoteValidity(entities, { ...currentNotes, ...deletedNotes }, diagnostics);
+    
+    // Former and secondary prefixes ("AH = KH", "CR3 (before 1974) = J5")
+    const aliases = crossReferenceContent ? parseCrossReferences(crossReferenceContent) : [];
+    diagnostics.info('aliases', `Parsed ${aliases.length} prefix cross references`);
+    
+    // Compare the parsed entity counts with the totals stated in the list
+    const parsedCounts = {
+        currentEntities: entities.filter(entity => entity.isCurrent).length,
+        deletedEntities: entities.filter(entity => !entity.isCurrent).length
+    };
+    Object.keys(parsedCounts).forEach(key => {
+        if (statedTotals[key] !== null && statedTotals[key] !== parsedCounts[key]) {
+            const label = key === 'currentEntities' ? 'current' : 'deleted';
+            diagnostics.warn('count-mismatch', `Parsed ${parsedCounts[key]} ${label} entities, but the list states ${statedTotals[key]}`);
+        }
+    });
+    
+    // Count entities by continent
+    const continentStats = {};
+    entities.filter(e => e.isCurrent).forEach(entity => {
+        continentStats[entity.continent] = (continentStats[entity.continent] || 0) + 1;
+    });
+    
+    // Build final data structure
+    // Apply filtering based on filterType
+    let filteredEntities = entities;
+    let filteredDescription = "Current and Deleted DXCC Entities";
+    
+    if (filterType === 'current') {
+        filteredEntities = entities.filter(entity => entity.isCurrent === true);
+        filteredDescription = "Current DXCC Entities";
+        diagnostics.info('filter', `Filtered to current entities only: ${filteredEntities.length} entities`);
+    } else if (filterType === 'deleted') {
+        filteredEntities = entities.filter(entity => entity.isCurrent === false);
+        filteredDescription = "Deleted DXCC Entities";
+        diagnostics.info('filter', `Filtered to deleted entities only: ${filteredEntities.length} entities`);
+    }
+    
+    // Recalculate statistics for filtered data
+    const filteredCurrentCount = filteredEntities.filter(e => e.isCurrent === true).length;
+    const filteredDeletedCount = filteredEntities.filter(e => e.isCurrent === false).length;
+    
+    const dxccData = {
+        metadata: {
+            title: legacyFormat ? "ARRL DXCC Countries List" : "ARRL DXCC List",
+            edition: edition,
+            totalEntities: filteredEntities.length,
+            honorRollThreshold: statedTotals.honorRollThreshold,
+            description: filteredDescription,
+            filterType: filterType,
+            notes: {
+                ...symbolNotes,
+                ...(filterType !== 'deleted' ? currentNotes : {}),
+                ...(filterType !== 'current' ? deletedNotes : {})
+            },
+            continents: CONTINENT_CODES,
+            zoneNotes: zoneNotes,
+            generatedAt: timestamp.generatedAt,
+            sourceFile: sourceFile || 'unknown',
+            inputNormalization: normalization,
+            ...(entityCodeReference ? { entityCodeReference: entityCodeReference } : {}),
+            version: CONVERTER.version,
+            author: CONVERTER.author,
+            provenance: {
+                converter: CONVERTER.name,
+                converterVersion: CONVERTER.version,
+                sourceSha256: sha256(input),
+                crossReferencesSha256: crossReferenceContent ? sha256(crossReferenceContent) : null,
+                timestampSource: timestamp.source,
+                options: {
+                    filterType: filterType,
+                    strict: options.strict === true,
+                    referenceFile: entityCodeReference ? entityCodeReference.sourceFile : null
+                }
+            },
+            statistics: {
+                totalParsed: filteredEntities.length,
+                currentEntities: filteredCurrentCount,
+                deletedEntities: filteredDeletedCount,
+                statedTotals: {
+                    currentEntities: statedTotals.currentEntities,
+                    deletedEntities: statedTotals.deletedEntities
+                },
+                continents: continentStats,
+                notesStatistics: {
+                    currentNotesCount: filterType !== 'deleted' ? Object.keys(currentNotes).length : 0,
+                    deletedNotesCount: filterType !== 'current' ? Object.keys(deletedNotes).length : 0,
+                    zoneNotesCount: Object.keys(zoneNotes).length
+                }
+            }
+        },
+        entities: filteredEntities,
+        aliases: aliases
+    };
+    
+    return { data: dxccData, diagnostics: diagnostics.list };
+}
+
+/**
+ * Print parser diagnostics
+ * Warnings and errors are printed with their line numbers; skipped headers are only counted.
+ * 
+ * @param {Object[]} diagnostics - Diagnostics from parseDXCCText
+ */
+function printDiagnostics(diagnostics) {
+    diagnostics.forEach(item => {
+        const where = item.line ? ` (line ${item.line})` : '';
+        if (item.level === 'error') {
+            console.error(`❌ Error: ${item.message}${where}`);
+        } else if (item.level === 'warning') {
+            console.warn(`⚠️  Warning: ${item.message}${where}`);
+        } else if (item.code !== 'skipped-header') {
+            console.log(`${item.message}${where}`);
+        }
+    });
+    
+    const skipped = diagnostics.filter(item => item.code === 'skipped-header').length;
+    if (skipped > 0) {
+        console.log(`Skipped ${skipped} header lines`);
+    }
+}
+
+/**
+ * Create DXCC data
+ * Main function to parse DXCC file and generate JSON data
+ * File wrapper around parseDXCCText used by the CLI: checks the file, loads the reference edition
+ * for legacy lists and prints the diagnostics.
+ * 
+ * @param {string} filePath - Input file path
+ * @param {string} filterType - Filter type: 'all', 'current', 'deleted'
+ * @param {Object} options - Parser options
+ * @param {string} options.referenceFile - Newer edition (.txt or .json) used to fill in entity codes for legacy lists
+ * @param {string} options.crossReferenceFile - Prefix cross reference file [default: "Prefix Cross References.md"]
+ * @param {boolean} options.strict - Fail on unmatched or fallback rows, missing notes and duplicate entity codes
+ * @param {Object[]} options.diagnostics - Array that receives the collected diagnostics ({level, code, message, line})
+ * @param {string} options.timestamp - generatedAt: 'now' [default], 'edition' or an ISO 8601 date
+ * @returns {Object} Parsed DXCC data object
+ */
+function createDXCCData(filePath, filterType = 'all', options = {}) {
+    console.log(`Starting to parse DXCC file: ${filePath}`);
+    console.log(`Filter type: ${filterType}`);
+    
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+        console.error(`❌ Error: Input file does not exist: ${filePath}`);
+        console.error(`💡 Please check the file path and ensure the file exists.`);
+        console.error(`💡 Available files in the directory might include:`);
+        
+        // Try to list files in the same directory for suggestions
+        try {
+            const dir = path.dirname(filePath);
+            const files = fs.readdirSync(dir)
+                .filter(file => file.endsWith('.txt') && file.toLowerCase().includes('current'))
+                .slice(0, 5); // Show up to 5 suggestions
+            
+            if (files.length > 0) {
+                files.forEach(file => {
+                    console.error(`   - ${path.join(dir, file)}`);
+                });
+            } else {
+                console.error(`   (No .txt files found in ${dir})`);
+            }
+        } catch (dirError) {
+            console.error(`   (Unable to list directory contents)`);
+        }
+        
+        throw new Error(`Input file not found: ${filePath}`);
+    }
+    
+    // Read file
+    let content;
+    try {
+        content = fs.readFileSync(filePath);
+    } catch (readError) {
+        console.error(`❌ Error reading file: ${filePath}`);
+        console.error(`💡 Error details: ${readError.message}`);
+        throw new Error(`Failed to read file: ${filePath}`);
+    }
+    
+    const { lines } = normalizeInput(content);
+    console.log(`File read complete, total ${lines.length} lines`);
+    
+    // Legacy lists take their entity codes from a newer edition on disk
+    const referenceData = isLegacyFormat(lines)
+        ? loadReferenceData(filePath, options.referenceFile || null)
+        : null;
+    
+    const { data, diagnostics } = parseDXCCText(content, {
+        filterType: filterType,
+        sourceFile: filePath,
+        ...(referenceData ? { referenceData: referenceData } : {}),
+        ...(options.crossReferenceFile ? { crossReferences: readCrossReferenceFile(options.crossReferenceFile) } : {}),
+        strict: options.strict === true,
+        ...(options.timestamp ? { timestamp: options.timestamp } : {})
+    });
+    printDiagnostics(diagnostics);
+    if (Array.isArray(options.diagnostics)) {
+        options.diagnostics.push(...diagnostics);
+    }
+    
+    const errors = diagnostics.filter(item => item.level === 'error');
+    if (errors.length > 0) {
+        throw new Error(`Strict mode: ${errors.length} problem${errors.length === 1 ? '' : 's'} found in ${path.basename(filePath)} (see the line numbers above)`);
+    }
+    
+    return data;
+}
+
+
+/**
+ * Parse command line arguments
+ * @returns {Object} Parsed arguments
+ */
+function parseArguments() {
+    const args = process.argv.slice(2);
+    let inputFile = null;
+    let outputFile = null;
+    let filterType = 'all';
+    let referenceFile = null;
+    let strict = false;
+    let format = 'json';
+    let timestamp = 'now';
+    const overlayFiles = [];
+    
+    // Show help if no arguments provided
+    if (args.length === 0) {
+        showHelp();
+        process.exit(0);
+    }
+    
+    // Parse arguments - options first, then files
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        if (arg === '--all') {
+            filterType = 'all';
+        } else if (arg === '--current') {
+            filterType = 'current';
+        } else if (arg === '--deleted') {
+            filterType = 'deleted';
+        } else if (arg === '--reference') {
+            // Edition used to assign entity codes to legacy lists
+            referenceFile = args[++i];
+            if (!referenceFile || !/\.(txt|json)$/.test(referenceFile)) {
+                console.error(`❌ Error: --reference requires a .txt or .json file`);
+                console.error(`💡 Example: --reference txt/2022_Current_Deleted.txt`);
+                process.exit(1);
+            }
+            if (!fs.existsSync(referenceFile)) {
+                console.error(`❌ Error: Reference file does not exist: '${referenceFile}'`);
+                process.exit(1);
+            }
+        } else if (arg === '--strict') {
+            strict = true;
+        } else if (arg === '--reproducible') {
+            // Same input, same output: the timestamp comes from the edition date
+            if (timestamp === 'now') {
+                timestamp = 'edition';
+            }
+        } else if (arg === '--timestamp') {
+            timestamp = args[++i];
+            if (!timestamp || timestamp.startsWith('--')) {
+                console.error(`❌ Error: --timestamp requires an ISO 8601 date`);
+                console.error(`💡 Example: --timestamp 2022-02-01T00:00:00Z`);
+                process.exit(1);
+            }
+        } else if (arg === '--overlay') {
+            // Local corrections merged on top of the parsed data, applied in the given order
+            const overlayFile = args[++i];
+            if (!overlayFile || !overlayFile.endsWith('.json')) {
+                console.error(`❌ Error: --overlay requires a .json file`);
+                console.error(`💡 Example: --overlay dxcc_overlay.json`);
+                process.exit(1);
+            }
+            if (!fs.existsSync(overlayFile)) {
+                console.error(`❌ Error: Overlay file does not exist: '${overlayFile}'`);
+                process.exit(1);
+            }
+            overlayFiles.push(overlayFile);
+        } else if (arg === '--format') {
+            format = args[++i];
+            if (!FORMAT_EXTENSIONS[format]) {
+                console.error(`❌ Error: --format requires one of: ${Object.keys(FORMAT_EXTENSIONS).join(', ')}`);
+                console.error(`💡 Example: --format csv`);
+                process.exit(1);
+            }
+        } else if (arg === '--help' || arg === '-h') {
+            showHelp();
+            process.exit(0);
+        } else if (arg.startsWith('--')) {
+            // Check for unknown option parameters
+            console.error(`❌ Error: Unknown option '${arg}'`);
+            console.error(`💡 Supported options: --all, --current, --deleted, --reference, --strict, --reproducible, --timestamp, --overlay, --format, --diff, --history, --check, --awards, --check-log, --validate, --batch, --render, --roundtrip, --help`);
+            process.exit(1);
+        } else {
+            // This is a file argument
+            if (!inputFile) {
+                // Validate input file format
+                if (!arg.endsWith('.txt')) {
+                    console.error(`❌ Error: Input file must be in .txt format, current input: '${arg}'`);
+                    console.error(`💡 Example: 2022_Current_Deleted.txt`);
+                    process.exit(1);
+                }
+                
+                // Validate input file existence
+                if (!fs.existsSync(arg)) {
+                    console.error(`❌ Error: Input file does not exist: '${arg}'`);
+                    
+                    // Provide file suggestions
+                    const dir = path.dirname(arg) || '.';
+                    try {
+                        const files = fs.readdirSync(dir)
+                            .filter(file => file.endsWith('.txt') && 
+                                   (file.toLowerCase().includes('current') || 
+                                    file.toLowerCase().includes('deleted') ||
+                                    file.toLowerCase().includes('dxcc')))
+                            .slice(0, 5);
+                        
+                        if (files.length > 0) {
+                            console.error(`💡 Possible files in directory:`);
+                            files.forEach(file => {
+                                console.error(`   - ${file}`);
+                            });
+                        }
+                    } catch (e) {
+                        // Ignore directory read errors
+                    }
+                    
+                    process.exit(1);
+                }
+                
+                inputFile = arg;
+            } else if (!outputFile) {
+                // Validate output file format and ensure it's just a filename
+                // Options come before file arguments, so the format is already known here
+                const extension = FORMAT_EXTENSIONS[format];
+                if (!arg.endsWith(`.${extension}`)) {
+                    console.error(`❌ Error: Output file must be in .${extension} format, current input: '${arg}'`);
+                    console.error(`💡 Example: dxcc_entities.${extension}`);
+                    process.exit(1);
+                }
+                
+                // Extract just the filename (ignore any path)
+                const filename = path.basename(arg);
+                // Always place output file in script directory
+                outputFile = path.join(__dirname, filename);
+            } else {
+                // Too many file arguments
+                console.error(`❌ Error: Too many arguments, unrecognized parameter: '${arg}'`);
+                console.error(`💡 Use --help to see correct usage`);
+                process.exit(1);
+            }
+        }
+    }
+    
+    // Set default input file if not provided
+    if (!inputFile) {
+        const defaultFile = path.join(__dirname, '2022_Current_Deleted.txt');
+        if (!fs.existsSync(defaultFile)) {
+            console.error(`❌ Error: Default input file does not exist: ${defaultFile}`);
+            console.error(`💡 Please specify a valid input file`);
+            process.exit(1);
+        }
+        inputFile = defaultFile;
+    }
+    
+    return { inputFile, outputFile, filterType, referenceFile, strict, format, timestamp, overlayFiles };
+}
+
+/**
+ * Generate output filename based on input file and filter type
+ * @param {string} inputFile - Input file path
+ * @param {string} filterType - Filter type
+ * @param {string} edition - Edition string
+ * @param {string} format - Output format: 'json' [default], 'csv', 'tsv', 'cty', 'adif', 'sql', 'txt'
+ * @returns {string} Generated output filename
+ */
+function generateOutputFilename(inputFile, filterType, edition, format = 'json') {
+    // Always use script directory for output files
+    const scriptDir = __dirname;
+    
+    // Extract year from edition (e.g., "February 2022" -> "2022")
+    const yearMatch = edition.match(/(\d{4})/);
+    const year = yearMatch ? yearMatch[1] : 'unknown';
+    
+    // Validate year reasonableness
+    if (year === 'unknown' || parseInt(year) < 1900 || parseInt(year) > new Date().getFullYear() + 10) {
+        console.warn(`⚠️  Warning: Year extracted from edition info may be incorrect: ${year}`);
+    }
+    
+    const extension = FORMAT_EXTENSIONS[format];
+    let filename;
+    switch (['cty', 'adif'].includes(format) ? format : filterType) {
+        case 'cty':
+            // Country files hold current entities only
+            filename = `cty_${year}.dat`;
+            break;
+        case 'adif':
+            filename = `adif_dxcc_${year}.csv`;
+            break;
+        case 'current':
+            filename = `dxcc_current_${year}.${extension}`;
+            break;
+        case 'deleted':
+            filename = `dxcc_deleted_${year}.${extension}`;
+            break;
+        default:
+            filename = `dxcc_current_deleted_${year}.${extension}`;
+    }
+    
+    const outputPath = path.join(scriptDir, filename);
+    
+    // Check if output file already exists
+    if (fs.existsSync(outputPath)) {
+        console.warn(`⚠️  Warning: Output file already exists and will be overwritten: ${outputPath}`);
+    }
+    
+    return outputPath;
+}
+
+/**
+ * Show help information
+ */
+function showHelp() {
+    console.log(`DXCC Entity Data Parser v${CONVERTER.version}`);
+    console.log(`Author: ${CONVERTER.author}`);
+    console.log('');
+    console.log('Usage:');
+    console.log('  node dxcc-txt2json.js [options] [input_file] [output_file]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --all      Output all entities (current and deleted) [default]');
+    console.log('  --current  Output only current entities');
+    console.log('  --deleted  Output only deleted entities');
+    console.log('  --reference <file>  Newer edition (.txt or .json) used to assign entity codes');
+    console.log('             to legacy lists without a code column [default: newest .txt in the same directory]');
+    console.log('  --strict   Fail without writing output when a row is unmatched or only matched by a');
+    console.log('             fallback pattern, a note is missing or an entity code is listed twice');
+    console.log('  --reproducible  Take generatedAt from the edition date of the list, so two runs on the');
+    console.log('             same input give byte-identical output (also for --batch and --history)');
+    console.log('  --timestamp <ISO date>  Use this generatedAt instead of the current time');
+    console.log('  --overlay <file.json>  Merge local corrections and own fields on top of the parsed data,');
+    console.log('             keyed by entity code (repeatable; applied in order, recorded in metadata.overlays)');
+    console.log('  --format <json|csv|tsv|cty|adif|sql|txt>  Output format [default: json]; csv and tsv write one row');
+    console.log('             per entity with the notes resolved to their text, cty writes a cty.dat');
+    console.log('             country file of the current entities (cty_<year>.dat), adif writes the ADIF');
+    console.log('             DXCC entity code enumeration as CSV (adif_dxcc_<year>.csv), sql writes a SQL');
+    console.log('             script with normalized tables for SQLite and PostgreSQL, txt writes the list');
+    console.log('             back in the ARRL fixed-width layout');
+    console.log('  --diff <old> <new> [output.json]');
+    console.log('             Compare two editions (.txt sources or generated .json files)');
+    console.log('             and write a JSON and a Markdown change report');
+    console.log('  --history [--reproducible] [txt_dir] [output.json]');
+    console.log('             Convert every .txt file in txt_dir [default: txt/] and merge them');
+    console.log('             into one history file keyed by entity code [default: dxcc_history.json]');
+    console.log('  --batch [--reproducible] [txt_dir]');
+    console.log('             Convert every .txt file in txt_dir [default: txt/] to the all, current and');
+    console.log('             deleted JSON files and print a summary; fails on unmatched entity lines');
+    console.log('  --check <callsign> <date> [time] [data_file]');
+    console.log('             Show the entity a QSO counts for on the given date (YYYY-MM-DD or YYYYMMDD)');
+    console.log('             [default data: newest dxcc_current_deleted_<year>.json]');
+    console.log('  --awards <log.adi> [data_file]');
+    console.log('             Report DXCC, Honor Roll, WAC and WAZ progress of an ADIF log');
+    console.log('             [default data: newest dxcc_current_deleted_<year>.json]');
+    console.log('  --check-log <log.adi> [data_file] [corrected.adi]');
+    console.log('             Cross-check the DXCC, CQZ, ITUZ and CONT fields of an ADIF log and');
+    console.log('             optionally write a corrected copy');
+    console.log('  --validate [file.json ...]');
+    console.log('             Check generated JSON files against schema.json and list each violation by');
+    console.log('             JSON path [default: every dxcc_<filter>_<year>.json in the script directory]');
+    console.log('             JSON output is also validated after each conversion');
+    console.log('  --render <data.json> [output.txt]');
+    console.log('             Write a generated (or hand-corrected) JSON file as an ARRL-style text list');
+    console.log('             [default output: dxcc_<filter>_<year>.txt]');
+    console.log('  --roundtrip <input.txt ...>');
+    console.log('             Parse each list, render it back to text and parse that again; fails and');
+    console.log('             lists each difference by JSON path if anything is lost (legacy lists cannot be checked and fail)');
+    console.log('  --help, -h Show this help message');
+    console.log('');
+    console.log('Examples:');
+    console.log('  # Output all entities (default)');
+    console.log('  node dxcc-txt2json.js 2022_Current_Deleted.txt');
+    console.log('  node dxcc-txt2json.js --all 2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Output only current entities');
+    console.log('  node dxcc-txt2json.js --current 2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Output only deleted entities');
+    console.log('  node dxcc-txt2json.js --deleted 2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Specify custom output filename (will be saved in script directory)');
+    console.log('  node dxcc-txt2json.js --current 2022_Current_Deleted.txt my_output.json');
+    console.log('');
+    console.log('  # Process files from subdirectory');
+    console.log('  node dxcc-txt2json.js --all txt/2013_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Convert the 1995 Countries List, taking entity codes from the 2022 list');
+    console.log('  node dxcc-txt2json.js --reference txt/2022_Current_Deleted.txt txt/1995_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Write current entities as CSV (dxcc_current_2022.csv)');
+    console.log('  node dxcc-txt2json.js --current --format csv txt/2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Build a cty.dat country file for contest loggers (cty_2022.dat)');
+    console.log('  node dxcc-txt2json.js --format cty txt/2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Write the ADIF DXCC enumeration to compare with your logging software (adif_dxcc_2022.csv)');
+    console.log('  node dxcc-txt2json.js --format adif txt/2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Write a SQL script and load it into SQLite');
+    console.log('  node dxcc-txt2json.js --format sql txt/2022_Current_Deleted.txt');
+    console.log('  sqlite3 dxcc.db < dxcc_current_deleted_2022.sql');
+    console.log('');
+    console.log('  # Stop with a line-numbered report if any row needs a fallback pattern');
+    console.log('  node dxcc-txt2json.js --strict txt/2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Compare two editions');
+    console.log('  node dxcc-txt2json.js --diff txt/2013_Current_Deleted.txt txt/2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Regenerate the JSON files of every edition in txt/, byte-identical on every run');
+    console.log('  node dxcc-txt2json.js --batch --reproducible');
+    console.log('');
+    console.log('  # Merge all editions in txt/ into dxcc_history.json');
+    console.log('  node dxcc-txt2json.js --history');
+    console.log('');
+    console.log('  # Check which entity a 1973 contact with 1M0A counts for');
+    console.log('  node dxcc-txt2json.js --check 1M0A 1973-05-01');
+    console.log('');
+    console.log('  # Show award progress and the entities still needed');
+    console.log('  node dxcc-txt2json.js --awards my_log.adi');
+    console.log('');
+    console.log('  # Check the entity fields of a log and write a corrected copy');
+    console.log('  node dxcc-txt2json.js --check-log my_log.adi my_log_fixed.adi');
+    console.log('');
+    console.log('  # Validate the generated JSON files against schema.json');
+    console.log('  node dxcc-txt2json.js --validate');
+    console.log('');
+    console.log('  # Apply local corrections and add own fields before writing the JSON');
+    console.log('  node dxcc-txt2json.js --overlay dxcc_overlay.json txt/2022_Current_Deleted.txt');
+    console.log('');
+    console.log('  # Publish a corrected JSON file in the ARRL list layout');
+    console.log('  node dxcc-txt2json.js --render dxcc_current_deleted_2022.json dxcc_list_2022.txt');
+    console.log('');
+    console.log('  # Check that the parser loses nothing (txt → json → txt → json)');
+    console.log('  node dxcc-txt2json.js --roundtrip txt/2022_Current_Deleted.txt');
+    console.log('');
+    console.log('Arguments:');
+    console.log('  input_file   Path to the DXCC text file (.txt format)');
+    console.log('  output_file  Output filename (.json, or .csv/.tsv/.dat/.sql/.txt with --format) [optional]');
+    console.log('');
+    console.log('Notes:');
+    console.log('  - Options must be specified before file arguments');
+    console.log('  - All output files are saved in the script directory');
+    console.log('  - If output file is not specified, it will be auto-generated');
+    console.log('  - Input file can be in any directory, but must exist');
+    console.log('  - Output filename should not include path (path will be ignored)');
+}
+
+/**
+ * Check DXCC data against schema.json before it is written
+ * Each violation is printed with its JSON path.
+ * 
+ * @param {Object} dxccData - Parsed DXCC data
+ * @throws {Error} When the data violates the schema
+ */
+function assertSchemaValid(dxccData) {
+    const violations = validateDXCCData(dxccData);
+    if (violations.length > 0) {
+        violations.forEach(violation => console.error(`❌ Schema: ${violation.path} ${violation.message}`));
+        throw new Error(`Schema validation: ${violations.length} violation${violations.length === 1 ? '' : 's'} of schema.json (see above)`);
+    }
+}
+
+/**
+ * Merge an overlay file on top of DXCC data
+ * Each violation of the overlay is printed with its JSON path, like schema violations.
+ * 
+ * @param {Object} dxccData - Parsed DXCC data
+ * @param {string} overlayFile - Overlay file (.json)
+ * @returns {Object} Merged data, with the overlay recorded in metadata.overlays
+ * @throws {Error} When the overlay is invalid or does not fit the data
+ */
+function mergeOverlayFile(dxccData, overlayFile) {
+    const content = fs.readFileSync(overlayFile);
+    let overlay;
+    try {
+        overlay = JSON.parse(content.toString('utf-8'));
+    } catch (error) {
+        throw new Error(`Overlay ${path.basename(overlayFile)} is not valid JSON: ${error.message}`);
+    }
+    
+    const violations = validateOverlay(overlay);
+    if (violations.length > 0) {
+        violations.forEach(violation => console.error(`❌ Overlay: ${violation.path} ${violation.message}`));
+        throw new Error(`Overlay ${path.basename(overlayFile)}: ${violations.length} violation${violations.length === 1 ? '' : 's'} (see above)`);
+    }
+    
+    const merged = applyOverlay(dxccData, overlay, { sourceFile: path.basename(overlayFile), sha256: sha256(content) });
+    merged.unmatched.forEach(entityCode => {
+        console.warn(`⚠️  Warning: Overlay entity code ${entityCode} is not in the ${dxccData.metadata.filterType} data; entry skipped`);
+    });
+    console.log(`✅ Overlay ${path.basename(overlayFile)}: ${merged.changes.length} field${merged.changes.length === 1 ? '' : 's'} changed in ${new Set(merged.changes.map(change => change.entityCode)).size} entities`);
+    return merged.data;
+}
+
+/**
+ * Run the text to JSON conversion from command line arguments
+ */
+function runConvertCommand() {
+    try {
+        const { inputFile, outputFile, filterType, referenceFile, strict, format, timestamp, overlayFiles } = parseArguments();
+        
+        console.log('='.repeat(60));
+        console.log(`DXCC Entity Data Parser v${CONVERTER.version}`);
+        console.log(`Author: ${CONVERTER.author}`);
+        console.log('='.repeat(60));
+        
+        let dxccData = createDXCCData(inputFile, filterType, { referenceFile, strict, timestamp });
+        overlayFiles.forEach(overlayFile => {
+            dxccData = mergeOverlayFile(dxccData, overlayFile);
+        });
+        
+        // Generate output filename if not specified
+        const finalOutputFile = outputFile || generateOutputFilename(inputFile, filterType, dxccData.metadata.edition, format);
+        
+        // Write JSON file, one row per entity for CSV/TSV, a cty.dat country file, the ADIF enumeration, a SQL script
+        // or an ARRL-style text list
+        let output;
+        if (format === 'json') {
+            assertSchemaValid(dxccData);
+            output = JSON.stringify(dxccData, null, 2);
+        } else if (format === 'cty') {
+            const ctyDat = createCtyDat(dxccData);
+            if (ctyDat.multiZone.length > 0) {
+                console.warn(`⚠️  Warning: ${ctyDat.multiZone.length} entities span several zones; their lowest zone is written:`);
+                ctyDat.multiZone.forEach(item => {
+                    const choices = item.picked.map(kind => kind === 'CQ'
+                        ? `CQ ${item.zonesCQ.join(',')} → ${item.cqZone}`
+                        : `ITU ${item.zonesITU.join(',')} → ${item.ituZone}`);
+                    console.warn(`   - ${item.entity} (${item.entityCode}): ${choices.join(', ')}`);
+                });
+            }
+            if (ctyDat.conflicts.length > 0) {
+                console.warn(`⚠️  Warning: ${ctyDat.conflicts.length} prefixes are listed for several entities; each is written once:`);
+                ctyDat.conflicts.forEach(item => {
+                    const owner = item.owner ? `${item.owner.entity} (${item.owner.entityCode})` : 'no entity';
+                    const leftOut = item.leftOut.map(entity => `${entity.entity} (${entity.entityCode})`);
+                    console.warn(`   - ${item.prefix}: ${owner}; left out for ${leftOut.join(', ')}`);
+                });
+            }
+            ctyDat.skipped.forEach(item => {
+                console.warn(`⚠️  Warning: ${item.entity} (${item.entityCode}) left out of the country file: ${item.reason}`);
+            });
+            output = ctyDat.text;
+        } else if (format === 'adif') {
+            // The ADIF enumeration keeps deleted entities, so a filtered list gives an incomplete table
+            if (filterType !== 'all') {
+                console.warn(`⚠️  Warning: Filter type '${filterType}' leaves entities out of the ADIF enumeration; use --all for the full table`);
+            }
+            output = formatADIFEnumeration(dxccData);
+        } else if (format === 'sql') {
+            output = createSQLScript(dxccData);
+        } else if (format === 'txt') {
+            const rendered = renderDXCCText(dxccData);
+            rendered.skipped.forEach(item => {
+                console.warn(`⚠️  Warning: ${item.entity} left out of the text list: ${item.reason}`);
+            });
+            output = rendered.text;
+        } else {
+            output = formatEntitiesDelimited(dxccData, format);
+        }
+        fs.writeFileSync(finalOutputFile, output, 'utf-8');
+        
+        console.log('\n' + '='.repeat(60));
+        console.log('✅ DXCC data generation completed!');
+        console.log(`📁 Input file: ${inputFile}`);
+        console.log(`📄 Output file: ${finalOutputFile}`);
+        console.log(`🔍 Filter type: ${filterType}`);
+        console.log(`📝 Format: ${format}`);
+        console.log(`📊 Statistics:`);
+        console.log(`   - Total entities: ${dxccData.entities.length}`);
+        console.log(`   - Current entities: ${dxccData.metadata.statistics.currentEntities}`);
+        console.log(`   - Deleted entities: ${dxccData.metadata.statistics.deletedEntities}`);
+        console.log(`   - Current notes: ${dxccData.metadata.statistics.notesStatistics.currentNotesCount}`);
         console.log(`   - Deleted notes: ${dxccData.metadata.statistics.notesStatistics.deletedNotesCount}`);
         console.log(`   - File size: ${(fs.statSync(finalOutputFile).size / 1024).toFixed(1)} KB`);
         console.log('='.repeat(60));
         
     } catch (error) {
         console.error('\n' + '='.repeat(60));
-        console.error('❌ DXCC data generation failed!');
+        console.error('❌ DXCC data generation failed!');
+        console.error(`🔍 Error: ${error.message}`);
+        console.error('='.repeat(60));
+        
+        // Provide usage help
+        console.error('\n📖 Usage:');
+        console.error('  node dxcc-txt2json.js [input_file] [output_file] [options]');
+        console.error('\n📝 Examples:');
+        console.error('  node dxcc-txt2json.js 2022_Current_Deleted.txt --current');
+        console.error('  node dxcc-txt2json.js "2020 Current_Deleted.txt" --deleted');
+        console.error('  node dxcc-txt2json.js 2013_Current_Deleted.txt my_output.json --all');
+        console.error('\n💡 Use --help for more information');
+        
+        process.exit(1);
+    }
+}
+
+/**
+ * Parse command line arguments of the edition diff mode
+ * Usage: --diff [--reference file] <old> <new> [output.json]
+ * 
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Old and new input files, output file and reference file
+ */
+function parseDiffArguments(args) {
+    const files = [];
+    let referenceFile = null;
+    
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        
+        if (arg === '--diff') {
+            continue;
+        } else if (arg === '--reference') {
+            referenceFile = args[++i];
+            if (!referenceFile || !fs.existsSync(referenceFile)) {
+                console.error(`❌ Error: Reference file does not exist: '${referenceFile}'`);
+                process.exit(1);
+            }
+        } else if (arg.startsWith('--')) {
+            console.error(`❌ Error: Unknown option '${arg}' in diff mode`);
+            console.error(`💡 Supported options: --diff, --reference`);
+            process.exit(1);
+        } else {
+            files.push(arg);
+        }
+    }
+    
+    if (files.length < 2 || files.length > 3) {
+        console.error(`❌ Error: Diff mode needs two input files and an optional output file`);
+        console.error(`💡 Example: node dxcc-txt2json.js --diff txt/2013_Current_Deleted.txt txt/2022_Current_Deleted.txt`);
+        process.exit(1);
+    }
+    
+    const [oldFile, newFile, output] = files;
+    [oldFile, newFile].forEach(file => {
+        if (!/\.(txt|json)$/.test(file)) {
+            console.error(`❌ Error: Diff input must be a .txt source or a generated .json file, current input: '${file}'`);
+            process.exit(1);
+        }
+        if (!fs.existsSync(file)) {
+            console.error(`❌ Error: Input file does not exist: '${file}'`);
+            process.exit(1);
+        }
+    });
+    
+    if (output && !output.endsWith('.json')) {
+        console.error(`❌ Error: Output file must be in .json format, current input: '${output}'`);
+        console.error(`💡 Example: dxcc_diff.json`);
+        process.exit(1);
+    }
+    
+    // Like conversion output, reports are always placed in the script directory
+    const outputFile = output ? path.join(__dirname, path.basename(output)) : null;
+    
+    return { oldFile, newFile, outputFile, referenceFile };
+}
+
+/**
+ * Load an edition for comparison
+ * Source texts are parsed with all entities, generated JSON files are read as they are
+ * 
+ * @param {string} file - .txt source or generated .json file
+ * @param {string|null} referenceFile - Reference edition for legacy lists
+ * @returns {Object} DXCC data
+ */
+function loadEdition(file, referenceFile) {
+    if (file.endsWith('.json')) {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+    return createDXCCData(file, 'all', { referenceFile });
+}
+
+/**
+ * Run the edition diff from command line arguments
+ * Writes the JSON report and a Markdown report with the same name
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runDiffCommand(args) {
+    try {
+        const { oldFile, newFile, outputFile, referenceFile } = parseDiffArguments(args);
+        
+        console.log('='.repeat(60));
+        console.log(`DXCC Edition Diff v${CONVERTER.version}`);
+        console.log(`Author: ${CONVERTER.author}`);
+        console.log('='.repeat(60));
+        
+        const oldData = loadEdition(oldFile, referenceFile);
+        const newData = loadEdition(newFile, referenceFile);
+        const report = diffDXCCData(oldData, newData);
+        
+        const yearOf = data => (data.metadata.edition.match(/(\d{4})/) || [null, 'unknown'])[1];
+        const jsonFile = outputFile || path.join(__dirname, `dxcc_diff_${yearOf(oldData)}_${yearOf(newData)}.json`);
+        const markdownFile = jsonFile.replace(/\.json$/, '.md');
+        
+        fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2), 'utf-8');
+        fs.writeFileSync(markdownFile, formatDiffMarkdown(report), 'utf-8');
+        
+        console.log('\n' + '='.repeat(60));
+        console.log('✅ DXCC edition diff completed!');
+        console.log(`📁 From: ${oldFile} (${report.from.edition})`);
+        console.log(`📁 To: ${newFile} (${report.to.edition})`);
+        console.log(`📄 JSON report: ${jsonFile}`);
+        console.log(`📄 Markdown report: ${markdownFile}`);
+        console.log(`📊 Summary:`);
+        console.log(`   - New entities: ${report.summary.added}`);
+        console.log(`   - Deleted entities: ${report.summary.deleted}`);
+        console.log(`   - Reinstated entities: ${report.summary.reinstated}`);
+        console.log(`   - Removed from list: ${report.summary.removed}`);
+        console.log(`   - Changed entities: ${report.summary.changed}`);
+        console.log('='.repeat(60));
+        
+    } catch (error) {
+        console.error('\n' + '='.repeat(60));
+        console.error('❌ DXCC edition diff failed!');
         console.error(`🔍 Error: ${error.message}`);
         console.error('='.repeat(60));
+        console.error('\n💡 Use --help for more information');
         
-        // Provide usage help
-        console.error('\n📖 Usage:');
-        console.error('  node dxcc-txt2json.js [input_file] [output_file] [options]');
-        console.error('\n📝 Examples:');
-        console.error('  node dxcc-txt2json.js 2022_Current_Deleted.txt --current');
-        console.error('  node dxcc-txt2json.js "2020 Current_Deleted.txt" --deleted');
-        console.error('  node dxcc-txt2json.js 2013_Current_Deleted.txt my_output.json --all');
+        process.exit(1);
+    }
+}
+
+/**
+ * Run the multi-edition history merge from command line arguments
+ * Usage: --history [--reproducible] [txt_dir] [output.json]
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runHistoryCommand(args) {
+    try {
+        const reproducible = args.includes('--reproducible');
+        const files = args.filter(arg => arg !== '--history' && arg !== '--reproducible');
+        const unknownOption = files.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in history mode`);
+        }
+        
+        const sourceDir = files.find(arg => !arg.endsWith('.json')) || path.join(__dirname, 'txt');
+        const output = files.find(arg => arg.endsWith('.json'));
+        const outputFile = path.join(__dirname, output ? path.basename(output) : 'dxcc_history.json');
+        
+        if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) {
+            throw new Error(`Source directory does not exist: ${sourceDir}`);
+        }
+        
+        const sourceFiles = fs.readdirSync(sourceDir)
+            .filter(file => file.endsWith('.txt'))
+            .map(file => path.join(sourceDir, file));
+        if (sourceFiles.length === 0) {
+            throw new Error(`No .txt files found in ${sourceDir}`);
+        }
+        
+        console.log('='.repeat(60));
+        console.log(`DXCC Edition History v${CONVERTER.version}`);
+        console.log(`Author: ${CONVERTER.author}`);
+        console.log('='.repeat(60));
+        
+        const editions = sourceFiles.map(file => createDXCCData(file, 'all', { timestamp: reproducible ? 'edition' : 'now' }));
+        const history = createDXCCHistory(editions, { reproducible });
+        history.metadata.warnings.forEach(warning => console.warn(`⚠️  Warning: ${warning.message}`));
+        
+        fs.writeFileSync(outputFile, JSON.stringify(history, null, 2), 'utf-8');
+        
+        console.log('\n' + '='.repeat(60));
+        console.log('✅ DXCC history generation completed!');
+        console.log(`📁 Source directory: ${sourceDir}`);
+        console.log(`📄 Output file: ${outputFile}`);
+        console.log(`📊 Statistics:`);
+        console.log(`   - Editions: ${history.metadata.editions.map(edition => edition.year).join(', ')}`);
+        console.log(`   - Total entities: ${history.metadata.totalEntities}`);
+        console.log(`   - File size: ${(fs.statSync(outputFile).size / 1024).toFixed(1)} KB`);
+        console.log('='.repeat(60));
+        
+    } catch (error) {
+        console.error('\n' + '='.repeat(60));
+        console.error('❌ DXCC history generation failed!');
+        console.error(`🔍 Error: ${error.message}`);
+        console.error('='.repeat(60));
         console.error('\n💡 Use --help for more information');
         
         process.exit(1);
     }
 }
 
-export { createDXCCData };
\ No newline at end of file
+/**
+ * Load the DXCC data used by the check and log modes
+ * Defaults to the newest generated file that includes deleted entities.
+ * 
+ * @param {string|undefined} dataFile - Optional .json or .txt data file
+ * @returns {{sourceFile: string, dxccData: Object}} Data file path and parsed data
+ */
+function loadCheckData(dataFile) {
+    let sourceFile = dataFile;
+    if (!sourceFile) {
+        const generated = fs.readdirSync(__dirname)
+            .filter(file => /^dxcc_current_deleted_\d{4}\.json$/.test(file))
+            .sort();
+        if (generated.length === 0) {
+            throw new Error('No dxcc_current_deleted_<year>.json found; pass a data file');
+        }
+        sourceFile = path.join(__dirname, generated[generated.length - 1]);
+    }
+    if (!fs.existsSync(sourceFile)) {
+        throw new Error(`Data file does not exist: ${sourceFile}`);
+    }
+    
+    const dxccData = sourceFile.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(sourceFile, 'utf-8'))
+        : createDXCCData(sourceFile, 'all');
+    return { sourceFile, dxccData };
+}
+
+/**
+ * Run the QSO credit check from command line arguments
+ * Usage: --check <callsign> <date> [time] [data_file]
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runCheckCommand(args) {
+    try {
+        const values = args.filter(arg => arg !== '--check');
+        const unknownOption = values.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in check mode`);
+        }
+        
+        const dataFile = values.find(arg => /\.(json|txt)$/.test(arg));
+        const [callsign, date, time] = values.filter(arg => arg !== dataFile);
+        if (!callsign || !date) {
+            console.error(`❌ Error: Check mode needs a callsign and a QSO date`);
+            console.error(`💡 Example: node dxcc-txt2json.js --check 1M0A 1971-05-01`);
+            process.exit(1);
+        }
+        
+        const { sourceFile, dxccData } = loadCheckData(dataFile);
+        const checker = createCreditChecker(dxccData);
+        const result = checker.check(callsign, date, time);
+        
+        console.log('='.repeat(60));
+        console.log(`📁 Data: ${path.basename(sourceFile)} (${dxccData.metadata.edition})`);
+        checker.warnings.forEach(warning => console.warn(`⚠️  Warning: ${warning.message}`));
+        console.log(`📡 Callsign: ${result.callsign}`);
+        console.log(`📅 QSO date: ${result.date}`);
+        
+        if (result.entities.length > 0) {
+            result.entities.forEach(entity => {
+                console.log(`✅ Entity: ${entity.entity} (${entity.prefix}, entity code ${entity.entityCode})`);
+            });
+            if (result.alias) {
+                console.log(`   Via cross reference ${result.alias.prefix}${result.alias.qualifier ? ` (${result.alias.qualifier})` : ''} = ${result.alias.target}`);
+            }
+            if (result.successorOf) {
+                console.log(`   Counted as successor of ${result.successorOf.entity} (entity code ${result.successorOf.entityCode})`);
+            }
+            if (result.ambiguous) {
+                console.log(`⚠️  Warning: Prefix ${result.matchedPrefix} is shared by several entities`);
+            }
+        } else {
+            console.log(`❌ No DXCC entity for this contact`);
+        }
+        
+        result.outsideWindow.forEach(item => {
+            console.log(`⚠️  Outside valid window: ${item.entity} (entity code ${item.entityCode})`);
+            item.notes.forEach(note => {
+                console.log(`   ${note.key}: ${note.text}`);
+            });
+        });
+        console.log('='.repeat(60));
+        
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('💡 Use --help for more information');
+        process.exit(1);
+    }
+}
+
+/**
+ * Run the award progress report from command line arguments
+ * Usage: --awards <log.adi> [data_file]
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runAwardsCommand(args) {
+    try {
+        const values = args.filter(arg => arg !== '--awards');
+        const unknownOption = values.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in awards mode`);
+        }
+        
+        const logFile = values.find(arg => /\.(adi|adif)$/i.test(arg));
+        const dataFile = values.find(arg => /\.(json|txt)$/.test(arg));
+        if (!logFile) {
+            console.error(`❌ Error: Awards mode needs an ADIF log file (.adi)`);
+            console.error(`💡 Example: node dxcc-txt2json.js --awards my_log.adi`);
+            process.exit(1);
+        }
+        if (!fs.existsSync(logFile)) {
+            throw new Error(`Log file does not exist: ${logFile}`);
+        }
+        
+        const { sourceFile, dxccData } = loadCheckData(dataFile);
+        const { records } = parseADIF(fs.readFileSync(logFile));
+        const report = createAwardReport(records, dxccData);
+        const ratio = (confirmed, worked, total) => `${worked} worked, ${confirmed} confirmed of ${total}`;
+        
+        console.log('='.repeat(60));
+        console.log(`📁 Data: ${path.basename(sourceFile)} (${dxccData.metadata.edition})`);
+        console.log(`📄 Log: ${path.basename(logFile)} (${report.qsos.total} QSOs, ${report.qsos.resolved} resolved)`);
+        report.warnings.forEach(warning => console.warn(`⚠️  Warning: ${warning.message}`));
+        console.log('');
+        console.log(`📊 DXCC: ${ratio(report.dxcc.confirmed.current, report.dxcc.worked.current, report.dxcc.totalCurrent)} current entities`);
+        console.log(`   Deleted entities: ${report.dxcc.worked.deleted} worked, ${report.dxcc.confirmed.deleted} confirmed`);
+        if (report.honorRoll.threshold !== null) {
+            const status = report.honorRoll.numberOne ? '#1 Honor Roll'
+                : report.honorRoll.qualified ? 'Honor Roll' : `${report.honorRoll.needed} more confirmed needed`;
+            console.log(`🏆 Honor Roll: ${report.honorRoll.confirmedCurrent}/${report.honorRoll.threshold} (${status})`);
+        } else {
+            console.log(`🏆 Honor Roll: no threshold in this edition`);
+        }
+        console.log(`🌍 WAC: ${ratio(report.wac.confirmed, report.wac.worked, 6)} continents${report.wac.qualified ? ' ✅' : ''}`);
+        console.log(`🗺️  WAZ: ${ratio(report.waz.confirmed, report.waz.worked, 40)} CQ zones${report.waz.qualified ? ' ✅' : ''}`);
+        
+        console.log('');
+        console.log(`Still needed: ${report.needed.entities.length} entities not worked, ${report.needed.unconfirmedEntities.length} worked but not confirmed`);
+        report.needed.entities.forEach(item => {
+            console.log(`   - ${item.entity} (${item.prefix || '-'}, entity code ${item.entityCode})`);
+        });
+        if (report.needed.unconfirmedEntities.length > 0) {
+            console.log('Worked, not confirmed:');
+            report.needed.unconfirmedEntities.forEach(item => {
+                console.log(`   - ${item.entity} (${item.prefix || '-'}, entity code ${item.entityCode})`);
+            });
+        }
+        if (report.needed.continents.length > 0) {
+            console.log(`Continents needed: ${report.needed.continents.join(', ')}`);
+        }
+        if (report.needed.zones.length > 0) {
+            console.log(`CQ zones needed: ${report.needed.zones.join(', ')}`);
+        }
+        
+        report.qsos.mismatched.forEach(item => {
+            const counted = item.entityCode !== null ? `counted as entity code ${item.entityCode}` : 'not counted';
+            console.warn(`⚠️  Warning: QSO ${item.index + 1} (${item.call}, ${item.date}) ${item.reason}; ${counted} by callsign`);
+        });
+        report.qsos.unresolved.forEach(item => {
+            console.warn(`⚠️  Warning: QSO ${item.index + 1} (${item.call || 'no call'}, ${item.date || 'no date'}) not counted: ${item.reason}`);
+        });
+        if (report.qsos.withoutContinentOrZone > 0) {
+            console.warn(`⚠️  Warning: ${report.qsos.withoutContinentOrZone} QSOs with an entity spanning several continents or zones lack a matching CONT/CQZ field`);
+        }
+        console.log('='.repeat(60));
+        
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('💡 Use --help for more information');
+        process.exit(1);
+    }
+}
+
+/**
+ * Run the ADIF log consistency check from command line arguments
+ * Usage: --check-log <log.adi> [data_file] [corrected.adi]
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runCheckLogCommand(args) {
+    try {
+        const values = args.filter(arg => arg !== '--check-log');
+        const unknownOption = values.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in check-log mode`);
+        }
+        
+        const [logFile, correctedFile] = values.filter(arg => /\.(adi|adif)$/i.test(arg));
+        const dataFile = values.find(arg => /\.(json|txt)$/.test(arg));
+        if (!logFile) {
+            console.error(`❌ Error: Check-log mode needs an ADIF log file (.adi)`);
+            console.error(`💡 Example: node dxcc-txt2json.js --check-log my_log.adi my_log_fixed.adi`);
+            process.exit(1);
+        }
+        if (!fs.existsSync(logFile)) {
+            throw new Error(`Log file does not exist: ${logFile}`);
+        }
+        if (correctedFile && path.resolve(correctedFile) === path.resolve(logFile)) {
+            throw new Error('The corrected log must not overwrite the input log');
+        }
+        
+        const { sourceFile, dxccData } = loadCheckData(dataFile);
+        const log = parseADIF(fs.readFileSync(logFile));
+        const report = checkADIFLog(log.records, dxccData);
+        
+        console.log('='.repeat(60));
+        console.log(`📁 Data: ${path.basename(sourceFile)} (${dxccData.metadata.edition})`);
+        console.log(`📄 Log: ${path.basename(logFile)} (${report.total} QSOs, ${report.checked} checked)`);
+        report.warnings.forEach(warning => console.warn(`⚠️  Warning: ${warning.message}`));
+        
+        report.issues.forEach(issue => {
+            const fix = issue.expected !== null ? ` → ${issue.field} ${issue.expected}` : '';
+            console.warn(`⚠️  QSO ${issue.index + 1} ${issue.call} ${issue.date}: ${issue.message}${fix}`);
+        });
+        report.skipped.forEach(item => {
+            console.log(`   QSO ${item.index + 1} ${item.call || 'no call'} ${item.date || 'no date'} not checked: ${item.reason}`);
+        });
+        
+        const counts = {};
+        report.issues.forEach(issue => { counts[issue.code] = (counts[issue.code] || 0) + 1; });
+        console.log('');
+        console.log(`📊 ${report.issues.length} issues in ${new Set(report.issues.map(issue => issue.index)).size} QSOs`);
+        Object.keys(counts).sort().forEach(code => console.log(`   - ${code}: ${counts[code]}`));
+        
+        if (correctedFile) {
+            fs.writeFileSync(correctedFile, formatADIF({ ...log, records: report.corrected }), 'utf-8');
+            console.log(`✅ Corrected log: ${correctedFile} (${report.corrections} fields changed)`);
+        }
+        console.log('='.repeat(60));
+        
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('💡 Use --help for more information');
+        process.exit(1);
+    }
+}
+
+/**
+ * Validate generated JSON files against schema.json
+ * Usage: --validate [file.json ...]
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runValidateCommand(args) {
+    try {
+        const values = args.filter(arg => arg !== '--validate');
+        const unknownOption = values.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in validate mode`);
+        }
+        
+        const files = values.length > 0
+            ? values
+            : fs.readdirSync(__dirname)
+                .filter(file => /^dxcc_(current|deleted|current_deleted)_\d{4}\.json$/.test(file))
+                .sort()
+                .map(file => path.join(__dirname, file));
+        if (files.length === 0) {
+            throw new Error('No dxcc_<filter>_<year>.json found; pass the files to validate');
+        }
+        
+        console.log('='.repeat(60));
+        let invalidFiles = 0;
+        files.forEach(file => {
+            if (!fs.existsSync(file)) {
+                throw new Error(`File does not exist: ${file}`);
+            }
+            
+            let violations;
+            try {
+                violations = validateDXCCData(JSON.parse(fs.readFileSync(file, 'utf-8')));
+            } catch (error) {
+                violations = [{ path: '$', message: error.message }];
+            }
+            
+            if (violations.length === 0) {
+                console.log(`✅ ${path.basename(file)}`);
+                return;
+            }
+            invalidFiles++;
+            console.error(`❌ ${path.basename(file)}: ${violations.length} violation${violations.length === 1 ? '' : 's'}`);
+            violations.forEach(violation => console.error(`   - ${violation.path} ${violation.message}`));
+        });
+        
+        console.log('');
+        console.log(`📊 ${files.length - invalidFiles} of ${files.length} files match schema.json`);
+        console.log('='.repeat(60));
+        if (invalidFiles > 0) {
+            process.exit(1);
+        }
+        
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('💡 Use --help for more information');
+        process.exit(1);
+    }
+}
+
+/**
+ * Convert every edition in a directory to JSON
+ * Usage: --batch [--reproducible] [txt_dir]
+ * Each .txt file is written as the all, current and deleted variants with the default file names.
+ * An edition with unmatched entity lines is not written, and the run fails after the summary.
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runBatchCommand(args) {
+    try {
+        const reproducible = args.includes('--reproducible');
+        const values = args.filter(arg => arg !== '--batch' && arg !== '--reproducible');
+        const unknownOption = values.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in batch mode`);
+        }
+        if (values.length > 1) {
+            throw new Error(`Too many arguments, unrecognized parameter: '${values[1]}'`);
+        }
+        
+        const sourceDir = values[0] || path.join(__dirname, 'txt');
+        if (!fs.existsSync(sourceDir) || !fs.statSync(sourceDir).isDirectory()) {
+            throw new Error(`Source directory does not exist: ${sourceDir}`);
+        }
+        const sourceFiles = fs.readdirSync(sourceDir)
+            .filter(file => file.endsWith('.txt'))
+            .sort()
+            .map(file => path.join(sourceDir, file));
+        if (sourceFiles.length === 0) {
+            throw new Error(`No .txt files found in ${sourceDir}`);
+        }
+        
+        console.log('='.repeat(60));
+        console.log(`DXCC Batch Conversion v${CONVERTER.version}`);
+        console.log(`Author: ${CONVERTER.author}`);
+        console.log('='.repeat(60));
+        
+        const results = sourceFiles.map(sourceFile => {
+            const result = { sourceFile, edition: null, counts: {}, unmatched: 0, outputFiles: [], error: null };
+            try {
+                const variants = ['all', 'current', 'deleted'].map(filterType => {
+                    const diagnostics = [];
+                    const dxccData = createDXCCData(sourceFile, filterType, { diagnostics, timestamp: reproducible ? 'edition' : 'now' });
+                    // Every variant parses the same lines, so the first one tells
+                    if (filterType === 'all') {
+                        result.unmatched = diagnostics.filter(item => item.code === 'unmatched-line').length;
+                    }
+                    assertSchemaValid(dxccData);
+                    result.edition = dxccData.metadata.edition;
+                    result.counts[filterType] = dxccData.entities.length;
+                    return { filterType, dxccData };
+                });
+                
+                if (result.unmatched > 0) {
+                    return result;
+                }
+                variants.forEach(({ filterType, dxccData }) => {
+                    const outputFile = generateOutputFilename(sourceFile, filterType, dxccData.metadata.edition);
+                    fs.writeFileSync(outputFile, JSON.stringify(dxccData, null, 2), 'utf-8');
+                    result.outputFiles.push(outputFile);
+                });
+            } catch (error) {
+                result.error = error.message;
+            }
+            return result;
+        });
+        
+        const rows = [['Source', 'Edition', 'All', 'Current', 'Deleted', 'Unmatched', 'Status']];
+        results.forEach(result => {
+            const status = result.error ? 'failed' : (result.unmatched > 0 ? 'not written' : 'written');
+            rows.push([
+                path.basename(result.sourceFile),
+                result.edition || '-',
+                ...['all', 'current', 'deleted'].map(filterType =>
+                    result.counts[filterType] !== undefined ? String(result.counts[filterType]) : '-'),
+                String(result.unmatched),
+                status
+            ]);
+        });
+        const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+        
+        console.log('\n' + '='.repeat(60));
+        console.log(`📁 Source directory: ${sourceDir}`);
+        console.log('📊 Summary:');
+        rows.forEach((row, index) => {
+            console.log(`   ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ')}`.trimEnd());
+            if (index === 0) {
+                console.log(`   ${widths.map(width => '-'.repeat(width)).join('  ')}`);
+            }
+        });
+        results.forEach(result => {
+            result.outputFiles.forEach(outputFile => console.log(`📄 ${path.basename(outputFile)}`));
+        });
+        
+        const failed = results.filter(result => result.error || result.unmatched > 0);
+        failed.forEach(result => {
+            const reason = result.error || `${result.unmatched} unmatched entity line${result.unmatched === 1 ? '' : 's'} (see the warnings above)`;
+            console.error(`❌ ${path.basename(result.sourceFile)}: ${reason}`);
+        });
+        console.log('='.repeat(60));
+        
+        if (failed.length > 0) {
+            console.error(`❌ Batch conversion failed for ${failed.length} of ${results.length} editions`);
+            process.exit(1);
+        }
+        console.log(`✅ Batch conversion completed: ${results.length} editions, ${results.length * 3} files`);
+        
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('💡 Use --help for more information');
+        process.exit(1);
+    }
+}
+
+/**
+ * Render a generated JSON file back to an ARRL-style text list
+ * Usage: --render <data.json> [output.txt]
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runRenderCommand(args) {
+    try {
+        const values = args.filter(arg => arg !== '--render');
+        const unknownOption = values.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in render mode`);
+        }
+        
+        const [dataFile, outputArg, extra] = values;
+        if (!dataFile || !dataFile.endsWith('.json')) {
+            console.error(`❌ Error: Render mode needs a DXCC JSON file`);
+            console.error(`💡 Example: node dxcc-txt2json.js --render dxcc_current_deleted_2022.json dxcc_list.txt`);
+            process.exit(1);
+        }
+        if (outputArg && !outputArg.endsWith('.txt')) {
+            throw new Error(`Output file must be in .txt format, current input: '${outputArg}'`);
+        }
+        if (extra) {
+            throw new Error(`Too many arguments, unrecognized parameter: '${extra}'`);
+        }
+        
+        const { dxccData } = loadCheckData(dataFile);
+        const violations = validateDXCCData(dxccData);
+        if (violations.length > 0) {
+            violations.forEach(violation => console.error(`❌ Schema: ${violation.path} ${violation.message}`));
+            throw new Error(`${path.basename(dataFile)} does not match schema.json (see above)`);
+        }
+        
+        const rendered = renderDXCCText(dxccData);
+        rendered.skipped.forEach(item => {
+            console.warn(`⚠️  Warning: ${item.entity} left out of the text list: ${item.reason}`);
+        });
+        
+        // Output files go to the script directory, as for conversions
+        const outputFile = outputArg
+            ? path.join(__dirname, path.basename(outputArg))
+            : generateOutputFilename(dataFile, dxccData.metadata.filterType, dxccData.metadata.edition, 'txt');
+        fs.writeFileSync(outputFile, rendered.text, 'utf-8');
+        
+        console.log(`✅ Text list: ${outputFile}`);
+        console.log(`📊 ${dxccData.entities.length - rendered.skipped.length} entities, ${Object.keys(dxccData.metadata.notes).length} notes`);
+        
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('💡 Use --help for more information');
+        process.exit(1);
+    }
+}
+
+/**
+ * Check that lists survive a round trip through the text renderer
+ * Each list is parsed, rendered and parsed again (txt → json → txt → json); the two parses must give the
+ * same data, and rendering the second parse must give the same text as the first rendering.
+ * Legacy countries lists cannot be checked, since the renderer writes the newer layout only; they fail the run.
+ * Usage: --roundtrip <input.txt ...>
+ * 
+ * @param {string[]} args - Command line arguments
+ */
+function runRoundTripCommand(args) {
+    try {
+        const values = args.filter(arg => arg !== '--roundtrip');
+        const unknownOption = values.find(arg => arg.startsWith('--'));
+        if (unknownOption) {
+            throw new Error(`Unknown option '${unknownOption}' in round-trip mode`);
+        }
+        if (values.length === 0) {
+            console.error(`❌ Error: Round-trip mode needs at least one .txt list`);
+            console.error(`💡 Example: node dxcc-txt2json.js --roundtrip txt/2022_Current_Deleted.txt`);
+            process.exit(1);
+        }
+        
+        const failed = [];
+        values.forEach(inputFile => {
+            if (!inputFile.endsWith('.txt')) {
+                throw new Error(`Input file must be in .txt format, current input: '${inputFile}'`);
+            }
+            if (!fs.existsSync(inputFile)) {
+                throw new Error(`Input file does not exist: ${inputFile}`);
+            }
+            if (isLegacyFormat(normalizeInput(fs.readFileSync(inputFile)).lines)) {
+                failed.push(inputFile);
+                console.log('='.repeat(60));
+                console.error(`❌ ${path.basename(inputFile)}: legacy countries list; the text renderer writes the newer layout only, so it cannot be checked`);
+                return;
+            }
+            
+            const original = createDXCCData(inputFile, 'all');
+            const rendered = renderDXCCText(original);
+            const { data: reparsed, diagnostics } = parseDXCCText(rendered.text, { sourceFile: inputFile });
+            const differences = compareDXCCData(original, reparsed);
+            const stable = renderDXCCText(reparsed).text === rendered.text;
+            
+            console.log('='.repeat(60));
+            if (differences.length === 0 && stable && rendered.skipped.length === 0) {
+                console.log(`✅ ${path.basename(inputFile)}: ${original.entities.length} entities and ${Object.keys(original.metadata.notes).length} notes survive the round trip`);
+                return;
+            }
+            
+            failed.push(inputFile);
+            console.error(`❌ ${path.basename(inputFile)}: ${differences.length} difference${differences.length === 1 ? '' : 's'} after the round trip`);
+            rendered.skipped.forEach(item => {
+                console.error(`   - ${item.entity} left out of the text list: ${item.reason}`);
+            });
+            if (!stable) {
+                console.error('   - Rendering the parsed text gives a different text');
+            }
+            diagnostics
+                .filter(item => item.level !== 'info')
+                .forEach(item => console.error(`   - Parser: ${item.message}${item.line ? ` (line ${item.line})` : ''}`));
+            differences.slice(0, 20).forEach(difference => {
+                console.error(`   - ${difference.path}: ${JSON.stringify(difference.expected)} → ${JSON.stringify(difference.found)}`);
+            });
+            if (differences.length > 20) {
+                console.error(`   ... and ${differences.length - 20} more`);
+            }
+        });
+        console.log('='.repeat(60));
+        
+        if (failed.length > 0) {
+            console.error(`❌ Round trip failed for ${failed.length} of ${values.length} lists`);
+            process.exit(1);
+        }
+        console.log(`✅ Round trip completed: ${values.length} list${values.length === 1 ? '' : 's'}, nothing lost`);
+        
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('💡 Use --help for more information');
+        process.exit(1);
+    }
+}
+
+// Main execution
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const args = process.argv.slice(2);
+    if (args.includes('--diff')) {
+        runDiffCommand(args);
+    } else if (args.includes('--history')) {
+        runHistoryCommand(args);
+    } else if (args.includes('--check')) {
+        runCheckCommand(args);
+    } else if (args.includes('--awards')) {
+        runAwardsCommand(args);
+    } else if (args.includes('--check-log')) {
+        runCheckLogCommand(args);
+    } else if (args.includes('--validate')) {
+        runValidateCommand(args);
+    } else if (args.includes('--batch')) {
+        runBatchCommand(args);
+    } else if (args.includes('--render')) {
+        runRenderCommand(args);
+    } else if (args.includes('--roundtrip')) {
+        runRoundTripCommand(args);
+    } else {
+        runConvertCommand();
+    }
+}
+
+export {
+    createDXCCData,
+    parseDXCCText,
+    expandPrefix,
+    expandEntityPrefixes,
+    createResolver,
+    resolveCallsign,
+    diffDXCCData,
+    formatDiffMarkdown,
+    createDXCCHistory,
+    lookupEntityHistory,
+    createCreditChecker,
+    checkQSOCredit,
+    parseCrossReferences,
+    formatEntitiesDelimited,
+    createCtyDat,
+    formatADIFEnumeration,
+    createSQLScript,
+    parseADIF,
+    formatADIF,
+    createAwardReport,
+    checkADIFLog,
+    validateDXCCData,
+    normalizeInput,
+    renderDXCCText,
+    compareDXCCData,
+    applyOverlay,
+    validateOverlay
+};
\ No newline at end of file